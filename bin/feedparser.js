@@ -1,27 +1,363 @@
 #!/usr/bin/env node
 /*
- * Parse a feed and dump the result to the console
+ * Parse feeds and print the result
  *
- * Usage: curl <feed url> | bin/feedparser.js
- *        cat <feed file> | bin/feedparser.js
+ * Usage: bin/feedparser.js [options] [file|url ...]
+ *        curl <feed url> | bin/feedparser.js [options]
  *
+ * Run with --help for the options and exit codes.
+ *
+ */
+var fs = require('fs')
+  , URL = require('url')
+  , isatty = require('tty').isatty
+  , FeedParser = require('../')
+  , _ = require('../lib/utils');
+
+var USAGE = [
+  'Usage: feedparser [options] [file|url ...]',
+  '',
+  'Parses each feed file or http(s)/file url, or stdin if there are none, or for "-".',
+  '',
+  'Options:',
+  '  -f, --format <format>  json, ndjson, csv or table',
+  '                         (default: table on a terminal, otherwise ndjson)',
+  '  -m, --meta             print the meta of each feed instead of its items',
+  '  -n, --limit <count>    print at most <count> items of each feed',
+  '  --fields <fields>      comma-separated fields to print, e.g., title,link,date',
+  '                         (default for csv and table: title,link,date)',
+  '  --strict               use the strict XML parser',
+  '  --no-normalize         do not normalize the items and meta',
+  '  --feedurl <url>        the url of the feed, for resolving relative urls',
+  '  -h, --help             print this help',
+  '',
+  'Exit codes:',
+  '  0  every feed was parsed',
+  '  1  bad arguments, an input could not be read or parsing failed',
+  '  2  an input was not a feed',
+  '  3  every feed was parsed, but some had recoverable errors'
+].join('\n');
+
+var EXIT_OK = 0
+  , EXIT_ERROR = 1
+  , EXIT_NOT_A_FEED = 2
+  , EXIT_RECOVERED = 3;
+
+// From least to most severe, since we exit with the worst we saw
+var SEVERITY = [EXIT_OK, EXIT_RECOVERED, EXIT_NOT_A_FEED, EXIT_ERROR];
+
+var FORMATS = ['json', 'ndjson', 'csv', 'table'];
+
+var DEFAULT_FIELDS = ['title', 'link', 'date'];
+
+// Longest value to print in a table column
+var MAX_WIDTH = 60;
+
+/*
+ * Parse the command-line arguments
+ *
+ * @param {Array} argv without the node and script paths
+ * @return {Object} the settings
+ * @throws {Error} on bad arguments
+ */
+function parseArgs (argv) {
+  var args = {
+    format: null,
+    meta: false,
+    limit: Infinity,
+    fields: null,
+    inputs: [],
+    help: false,
+    options: {}
+  };
+  var i = 0
+    , inline
+    ;
+
+  function value (flag) {
+    var val = inline;
+    inline = null;
+    if (val === null) {
+      if (i >= argv.length) throw new Error('Missing value for ' + flag);
+      val = argv[i++];
+    }
+    return val;
+  }
+
+  while (i < argv.length) {
+    var arg = argv[i++]
+      , flag = arg
+      , match
+      ;
+    inline = null;
+    // --flag=value
+    if (match = /^(--[^=]+)=(.*)$/.exec(arg)) {
+      flag = match[1];
+      inline = match[2];
+    }
+    switch (flag) {
+    case '-f':
+    case '--format':
+      args.format = value(flag);
+      if (FORMATS.indexOf(args.format) === -1) throw new Error('Unknown format: ' + args.format);
+      break;
+    case '-m':
+    case '--meta':
+      args.meta = true;
+      break;
+    case '-n':
+    case '--limit':
+      var limit = value(flag);
+      args.limit = Number(limit);
+      if (!/^\d+$/.test(limit)) throw new Error('Invalid limit: ' + limit);
+      break;
+    case '--fields':
+      args.fields = value(flag).split(',').map(function (field) {
+        return field.trim();
+      }).filter(Boolean);
+      if (!args.fields.length) throw new Error('No fields given');
+      break;
+    case '--strict':
+      args.options.strict = true;
+      break;
+    case '--no-normalize':
+      args.options.normalize = false;
+      break;
+    case '--feedurl':
+      args.options.feedurl = value(flag);
+      break;
+    case '-h':
+    case '--help':
+      args.help = true;
+      break;
+    default:
+      if (flag !== '-' && flag.charAt(0) === '-') throw new Error('Unknown option: ' + flag);
+      args.inputs.push(arg);
+    }
+    if (inline !== null) throw new Error('Unexpected value for ' + flag);
+  }
+  if (!args.inputs.length) args.inputs.push('-');
+  return args;
+}
+
+/*
+ * Open an input as a FeedParser stream
+ *
+ * @param {String} input a path, a url or "-" for stdin
+ * @param {Object} options for FeedParser
+ * @return {FeedParser}
+ */
+function open (input, options) {
+  var uri = URL.parse(input)
+    , parser
+    , source
+    ;
+
+  if (uri.protocol === 'http:' || uri.protocol === 'https:') {
+    return FeedParser.fetch(input, options);
+  }
+
+  parser = new FeedParser(options);
+  if (input === '-') {
+    source = process.stdin;
+  } else {
+    source = fs.createReadStream(uri.protocol === 'file:' ? decodeURIComponent(uri.pathname) : input);
+    source.on('error', function (err) {
+      parser.emit('error', err);
+    });
+  }
+  source.pipe(parser);
+  return parser;
+}
+
+/*
+ * Pick the fields to print from a meta or item
  */
-var isatty = require('tty').isatty
-  , util = require('util')
-  , FeedParser = require('../');
-
-var usingConsole = isatty(1) && isatty(2);
-
-process.stdin.pipe(new FeedParser())
-  .on('error', console.error)
-  .on('readable', function() {
-    var stream = this, item;
-    while (item = stream.read()) {
-      if (usingConsole) {
-        console.log(util.inspect(item, null, 10, true));
+function pick (obj, fields) {
+  if (!fields) return obj;
+  var picked = {};
+  fields.forEach(function (field) {
+    var value = _.get(obj, field);
+    picked[field] = value === undefined ? null : value;
+  });
+  return picked;
+}
+
+/*
+ * Format a value for a csv or table cell
+ */
+function cell (value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function csvCell (value) {
+  value = cell(value);
+  return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+}
+
+function tableCell (value) {
+  value = cell(value).replace(/\s+/g, ' ').trim();
+  return value.length > MAX_WIDTH ? value.slice(0, MAX_WIDTH - 3) + '...' : value;
+}
+
+function pad (str, width) {
+  return str + new Array(width - str.length + 1).join(' ');
+}
+
+/*
+ * Print the rows of one feed as a table, with a heading
+ */
+function table (out, heading, fields, rows) {
+  var cells = [fields].concat(rows.map(function (row) {
+    return fields.map(function (field) {
+      return tableCell(row[field]);
+    });
+  }));
+  var widths = fields.map(function (field, i) {
+    return Math.max.apply(Math, cells.map(function (row) {
+      return row[i].length;
+    }));
+  });
+  cells.splice(1, 0, widths.map(function (width) {
+    return new Array(width + 1).join('-');
+  }));
+  if (heading) out.write('== ' + heading + ' ==\n');
+  cells.forEach(function (row) {
+    out.write(row.map(function (value, i) {
+      return pad(value, widths[i]);
+    }).join('  ').replace(/\s+$/, '') + '\n');
+  });
+  out.write('\n');
+}
+
+/*
+ * Parse each input in turn and print it
+ *
+ * @param {Object} args from parseArgs()
+ * @param {Function} done called with the exit code
+ */
+function run (args, done) {
+  var out = process.stdout
+    , format = args.format || (isatty(1) ? 'table' : 'ndjson')
+    , fields = args.fields || (format === 'csv' || format === 'table' ? DEFAULT_FIELDS : null)
+    , collected = [] // For the formats we can only print at the end
+    , code = EXIT_OK
+    , wroteHeader = false
+    ;
+
+  function worse (next) {
+    if (SEVERITY.indexOf(next) > SEVERITY.indexOf(code)) code = next;
+  }
+
+  function warn (input, message) {
+    console.error('feedparser: %s: %s', input === '-' ? 'stdin' : input, message);
+  }
+
+  function print (input, meta, items) {
+    var rows = (args.meta ? [meta] : items).map(function (row) {
+      return pick(row, fields);
+    });
+    switch (format) {
+    case 'json':
+      collected.push(args.meta ? rows[0] : { meta: meta, items: rows });
+      break;
+    case 'ndjson':
+      rows.forEach(function (row) {
+        out.write(JSON.stringify(row) + '\n');
+      });
+      break;
+    case 'csv':
+      if (!wroteHeader) {
+        out.write(fields.map(csvCell).join(',') + '\r\n');
+        wroteHeader = true;
       }
-      else {
-        console.log(JSON.stringify(item));
+      rows.forEach(function (row) {
+        out.write(fields.map(function (field) {
+          return csvCell(row[field]);
+        }).join(',') + '\r\n');
+      });
+      break;
+    case 'table':
+      if (args.meta) {
+        // One table for all of the feeds
+        collected.push(rows[0]);
+      } else {
+        table(out, cell(meta.title) || (input === '-' ? 'stdin' : input), fields, rows);
       }
+      break;
     }
+  }
+
+  function next (index) {
+    if (index >= args.inputs.length) {
+      if (format === 'json') {
+        out.write(JSON.stringify(collected.length === 1 ? collected[0] : collected, null, 2) + '\n');
+      } else if (format === 'table' && collected.length) {
+        table(out, null, fields, collected);
+      }
+      return done(code);
+    }
+
+    var input = args.inputs[index]
+      , parser = open(input, args.options)
+      , items = []
+      , finished = false
+      ;
+
+    function finish (failure) {
+      if (finished) return;
+      finished = true;
+      if (failure) {
+        worse(/^Not a feed/.test(failure.message) ? EXIT_NOT_A_FEED : EXIT_ERROR);
+      } else {
+        if (parser.warnings.length) worse(EXIT_RECOVERED);
+        print(input, parser.meta, items);
+      }
+      next(index + 1);
+    }
+
+    parser.on('warning', function (warning) {
+      var where = warning.line === null ? '' : 'line ' + warning.line + ', column ' + warning.column + ': ';
+      warn(input, 'warning: ' + where + warning.message.split('\n')[0]);
+    })
+    .on('error', function (e) {
+      warn(input, e.message);
+      (e.feeds || []).forEach(function (feed) {
+        console.error('  %s', feed.url + (feed.title ? ' (' + feed.title + ')' : ''));
+      });
+      finish(e);
+    })
+    .on('readable', function () {
+      var item;
+      while (item = this.read()) {
+        if (items.length >= args.limit) continue;
+        if (format === 'json') delete item.meta; // It's in the output once already
+        items.push(item);
+      }
+    })
+    .on('end', function () {
+      finish(null);
+    });
+  }
+
+  next(0);
+}
+
+var args;
+try {
+  args = parseArgs(process.argv.slice(2));
+} catch (e) {
+  console.error('feedparser: %s', e.message);
+  console.error('Try feedparser --help');
+  process.exitCode = EXIT_ERROR;
+}
+if (args && args.help) {
+  console.log(USAGE);
+} else if (args) {
+  run(args, function (code) {
+    process.exitCode = code;
   });
+}
@@ -1,6 +1,5 @@
 var request = require('request')
   , FeedParser = require(__dirname+'/..')
-  , Iconv = require('iconv').Iconv
   , zlib = require('zlib');
 
 function fetch(feed) {
@@ -11,9 +10,6 @@ function fetch(feed) {
   req.setHeader('user-agent', 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_8_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/31.0.1650.63 Safari/537.36');
   req.setHeader('accept', 'text/html,application/xhtml+xml');
 
-  var feedparser = new FeedParser();
-
-
   // Define our handlers
   req.on('error', done);
   req.on('response', function(res) {
@@ -21,18 +17,20 @@ function fetch(feed) {
     var encoding = res.headers['content-encoding'] || 'identity'
       , charset = getParams(res.headers['content-type'] || '').charset;
     res = maybeDecompress(res, encoding);
-    res = maybeTranslate(res, charset);
+    // Feedparser decodes the feed itself: by its byte order mark, else the
+    // encoding its XML declaration names, else the charset from the
+    // Content-Type header, else UTF-8.
+    var feedparser = new FeedParser({ charset: charset });
+    feedparser.on('error', done);
+    feedparser.on('end', done);
+    feedparser.on('readable', function() {
+      var post;
+      while (post = this.read()) {
+        console.log(post);
+      }
+    });
     res.pipe(feedparser);
   });
-
-  feedparser.on('error', done);
-  feedparser.on('end', done);
-  feedparser.on('readable', function() {
-    var post;
-    while (post = this.read()) {
-      console.log(post);
-    }
-  });
 }
 
 function maybeDecompress (res, encoding) {
@@ -45,24 +43,6 @@ function maybeDecompress (res, encoding) {
   return decompress ? res.pipe(decompress) : res;
 }
 
-function maybeTranslate (res, charset) {
-  var iconv;
-  // Use iconv if its not utf8 already.
-  if (!iconv && charset && !/utf-*8/i.test(charset)) {
-    try {
-      iconv = new Iconv(charset, 'utf-8');
-      console.log('Converting from charset %s to utf-8', charset);
-      iconv.on('error', done);
-      // If we're using iconv, stream will be the output of iconv
-      // otherwise it will remain the output of request
-      res = res.pipe(iconv);
-    } catch(err) {
-      res.emit('error', err);
-    }
-  }
-  return res;
-}
-
 function getParams(str) {
   var params = str.split(';').reduce(function (params, param) {
     var parts = param.split('=').map(function (part) { return part.trim(); });
@@ -0,0 +1,65 @@
+var _ = require('./utils');
+
+/*
+ * The elements that may hold the full content of an item, in order of
+ * preference, and the type of their content if they don't say
+ */
+var ELEMENTS = [
+  ['content', 'text'], // Atom
+  ['atom:content', 'text'],
+  ['content:encoded', 'html'],
+  ['description', 'html'] // RSS and RDF
+];
+
+/*
+ * The Atom 0.3 (and other) MIME types of the Atom 1.0 types
+ */
+var TYPES = {
+  'text/plain': 'text',
+  'text/html': 'html',
+  'application/xhtml+xml': 'xhtml'
+};
+
+/*
+ * Build the full content of an item node
+ *
+ *   - type {String} 'text', 'html' or 'xhtml', or the MIME type of other
+ *     content (e.g., out-of-line content)
+ *   - value {String} the content itself, or null if it's out-of-line
+ *   - src {String} the url of out-of-line content, or null
+ *   - lang {String} the language of the content, or null
+ *
+ * An Atom summary is not content, but an RSS description is.
+ *
+ * @param {Object} node
+ * @param {String} [language] of the feed, if the content doesn't say
+ * @return {Object} or null if the item has no content
+ * @private
+ */
+function content (node, language) {
+  var found = null
+    , el
+    , src
+    , value
+    , type
+    ;
+  ELEMENTS.some(function (element) {
+    return (found = node[element[0]] ? element : null);
+  });
+  if (!found) return null;
+
+  el = _.first(node[found[0]]);
+  src = _.getAttr(el, 'src');
+  value = src ? null : _.get(el);
+  if (!src && !value) return null;
+  type = found[1] === 'text' ? (_.getAttr(el, 'type') || 'text').toLowerCase() : found[1];
+
+  return {
+    type: TYPES[type] || type,
+    value: value,
+    src: src,
+    lang: _.getAttr(el, 'xml:lang') || _.getAttr(node, 'xml:lang') || language || null
+  };
+}
+
+exports = module.exports = content;
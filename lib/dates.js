@@ -0,0 +1,158 @@
+/*
+ * Time zone abbreviations seen in feeds, as offsets from UTC in minutes
+ */
+var ZONES = {
+  'ut': 0, 'utc': 0, 'gmt': 0, 'z': 0, 'wet': 0,
+  'edt': -240, 'est': -300, 'cdt': -300, 'cst': -360,
+  'mdt': -360, 'mst': -420, 'pdt': -420, 'pst': -480,
+  'akdt': -480, 'akst': -540, 'hst': -600, 'adt': -180, 'ast': -240,
+  'ndt': -150, 'nst': -210,
+  'bst': 60, 'west': 60, 'cet': 60, 'met': 60, 'mez': 60,
+  'cest': 120, 'mest': 120, 'mesz': 120, 'eet': 120, 'eest': 180,
+  'msk': 180, 'msd': 240, 'ist': 330, // Indian, not Irish, Standard Time
+  'jst': 540, 'kst': 540, 'hkt': 480, 'awst': 480, 'sgt': 480,
+  'acst': 570, 'acdt': 630, 'aest': 600, 'aedt': 660, 'nzst': 720, 'nzdt': 780
+};
+
+/*
+ * Month names (and their abbreviations) in English and other languages
+ * commonly seen in feeds, without accents or dots
+ */
+var MONTHS = [
+  ['jan', 'january', 'januar', 'janvier', 'janv', 'enero', 'ene', 'gennaio', 'gen', 'janeiro', 'januari', 'jänner', 'janner'],
+  ['feb', 'february', 'februar', 'fevrier', 'fev', 'fevr', 'febrero', 'febbraio', 'fevereiro', 'februari'],
+  ['mar', 'march', 'marz', 'maerz', 'mrz', 'mars', 'marzo', 'marco', 'maart', 'mrt'],
+  ['apr', 'april', 'avril', 'avr', 'abril', 'abr', 'aprile'],
+  ['may', 'mai', 'mayo', 'maggio', 'mag', 'maio', 'mei'],
+  ['jun', 'june', 'juni', 'juin', 'junio', 'giugno', 'giu', 'junho'],
+  ['jul', 'july', 'juli', 'juillet', 'juil', 'julio', 'luglio', 'lug', 'julho'],
+  ['aug', 'august', 'aout', 'agosto', 'ago', 'augustus'],
+  ['sep', 'sept', 'september', 'septembre', 'septiembre', 'settembre', 'set', 'setembro'],
+  ['oct', 'october', 'oktober', 'okt', 'octobre', 'octubre', 'ottobre', 'ott', 'outubro', 'out'],
+  ['nov', 'november', 'novembre', 'noviembre', 'novembro'],
+  ['dec', 'december', 'dezember', 'dez', 'decembre', 'diciembre', 'dic', 'dicembre', 'dezembro']
+];
+
+var MONTH_LOOKUP = MONTHS.reduce(function (lookup, names, month) {
+  names.forEach(function (name) {
+    lookup[name] = month;
+  });
+  return lookup;
+}, {});
+
+// W3C-DTF (ISO 8601 profile), including fragments such as "2003" or "2003-12"
+var W3CDTF = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2})(?:[T\s]+(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(Z|[+-]\d{1,2}(?::?\d{2})?)?)?)?)?$/i;
+
+// RFC 822 and friends, e.g., "Sat, 07 Sep 2002 00:00:01 GMT", once any day name is removed
+var RFC822 = /^(\d{1,2})[\s.-]+([^\s\d.,-]+)\.?,?[\s.-]+(\d{4}|\d{2})(?!\d),?(?:\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?)?\s*(.*)$/;
+
+// The same, but with the month first, e.g., "Sep 7, 2002 12:00 AM EDT"
+var MONTH_FIRST = /^([^\s\d.,-]+)\.?\s+(\d{1,2}),?\s+(\d{4}|\d{2})(?!\d),?(?:\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?)?\s*(.*)$/;
+
+/*
+ * Parse a date as it appears in a feed
+ *
+ * Understands RFC 822 dates with any common time zone abbreviation or
+ * numeric offset (including "+05:30"), localized month and day names,
+ * two-digit years, and W3C-DTF dates and fragments, and falls back to
+ * the native Date parser.
+ *
+ * @param {String} str
+ * @return {Date} or null if we could not understand the date
+ * @private
+ */
+function parse (str) {
+  var m, date;
+
+  if (typeof str !== 'string' || !(str = str.trim())) return null;
+
+  if ((m = str.match(W3CDTF))) {
+    return build(+m[1], m[2] ? +m[2] - 1 : 0, m[3] ? +m[3] : 1, +m[4] || 0, +m[5] || 0, +m[6] || 0, m[7] ? Math.round(+('0.' + m[7]) * 1000) : 0, m[8] ? offset(m[8]) : 0);
+  }
+
+  var text = normalize(str);
+  if ((m = text.match(RFC822))) {
+    date = fromParts(m[1], m[2], m[3], m[4], m[5], m[6], m[7]);
+    if (date) return date;
+  }
+  if ((m = text.match(MONTH_FIRST))) {
+    date = fromParts(m[2], m[1], m[3], m[4], m[5], m[6], m[7]);
+    if (date) return date;
+  }
+
+  date = new Date(str);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/*
+ * Lowercase, strip accents and remove any leading day name
+ * @private
+ */
+function normalize (str) {
+  return str.toLowerCase()
+    .replace(/[àâä]/g, 'a').replace(/[éèêë]/g, 'e').replace(/[ûüù]/g, 'u').replace(/[ôö]/g, 'o').replace(/[îï]/g, 'i').replace(/ç/g, 'c')
+    .replace(/^([^\d\s,.]+)\.?(?:,\s*|\s+)(?=\d)/, function (match, word) {
+      // e.g., "Sat, " or "Samstag, ", but not "Sep " in "Sep 7, 2002"
+      return word in MONTH_LOOKUP ? match : '';
+    })
+    .replace(/\s+/g, ' ');
+}
+
+/*
+ * @private
+ */
+function fromParts (day, monthName, year, hours, minutes, seconds, rest) {
+  var month = MONTH_LOOKUP[monthName.replace(/\.$/, '')]
+    , zone
+    ;
+  if (month === undefined) return null;
+
+  year = +year;
+  if (year < 100) {
+    // RFC 2822: 00-49 are 2000-2049; 50-99 are 1950-1999
+    year += year < 50 ? 2000 : 1900;
+  }
+  hours = +hours || 0;
+
+  rest = (rest || '').trim();
+  if (/^(am|a\.m\.)\b/.test(rest)) {
+    if (hours === 12) hours = 0;
+    rest = rest.replace(/^\S+\s*/, '');
+  } else if (/^(pm|p\.m\.)\b/.test(rest)) {
+    if (hours < 12) hours += 12;
+    rest = rest.replace(/^\S+\s*/, '');
+  }
+
+  zone = rest ? offset(rest.split(' ')[0]) : 0;
+  if (zone === null) return null;
+
+  return build(year, month, +day, hours, +minutes || 0, +seconds || 0, 0, zone);
+}
+
+/*
+ * Convert a time zone to an offset from UTC in minutes
+ *
+ * @param {String} zone e.g., "EDT", "+0530", "+05:30", "-5" or "GMT+1"
+ * @return {Number} or null if we don't know the zone
+ * @private
+ */
+function offset (zone) {
+  var m;
+  zone = zone.toLowerCase().replace(/^\(|\)$/g, '');
+  if (zone in ZONES) return ZONES[zone];
+  if ((m = zone.match(/^(?:gmt|utc|ut)?([+-])(\d{1,2})(?::?(\d{2}))?$/))) {
+    return (m[1] === '-' ? -1 : 1) * (+m[2] * 60 + (+m[3] || 0));
+  }
+  return null;
+}
+
+/*
+ * @private
+ */
+function build (year, month, day, hours, minutes, seconds, ms, zone) {
+  if (month > 11 || day < 1 || day > 31 || hours > 24 || minutes > 59 || seconds > 60) return null;
+  var date = new Date(Date.UTC(year, month, day, hours, minutes, seconds, ms) - zone * 60000);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+exports.parse = parse;
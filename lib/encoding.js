@@ -0,0 +1,100 @@
+var iconv = require('iconv-lite');
+
+/*
+ * Byte order marks and the encodings they imply. The UTF-32 marks
+ * come first because they begin with the UTF-16 marks.
+ */
+var BOMS = [
+  { bytes: [0x00, 0x00, 0xFE, 0xFF], encoding: 'utf-32be' },
+  { bytes: [0xFF, 0xFE, 0x00, 0x00], encoding: 'utf-32le' },
+  { bytes: [0xEF, 0xBB, 0xBF], encoding: 'utf-8' },
+  { bytes: [0xFE, 0xFF], encoding: 'utf-16be' },
+  { bytes: [0xFF, 0xFE], encoding: 'utf-16le' }
+];
+
+/*
+ * How far into the document we will look for the XML declaration
+ */
+var MAX_HEAD_LENGTH = 1024;
+
+/*
+ * Normalize the name of a character encoding, returning null if we cannot
+ * decode it
+ *
+ * @param {String} name e.g., 'UTF8' or 'Windows-1251'
+ * @return {String} e.g., 'utf-8' or 'windows-1251'
+ * @private
+ */
+function normalize (name) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  name = name.trim().toLowerCase();
+  if (!iconv.encodingExists(name)) return null;
+  return name === 'utf8' ? 'utf-8' : name;
+}
+exports.normalize = normalize;
+
+/*
+ * Detect the character encoding of the start of a document, in order of
+ * precedence, from:
+ *   1. a byte order mark
+ *   2. the encoding in the XML declaration (or, without either, the telltale
+ *      zero bytes of UTF-16)
+ *   3. the charset given by the user (e.g., from the Content-Type header),
+ *      which servers often get wrong
+ * and otherwise assume UTF-8.
+ *
+ * Returns null if we need to see more of the document to decide, unless
+ * `final` is set.
+ *
+ * @param {Buffer} head the start of the document
+ * @param {String} [charset]
+ * @param {Boolean} [final] there is no more of the document to see
+ * @return {String} the encoding, or null
+ * @private
+ */
+function detect (head, charset, final) {
+  var bom
+    , text
+    , declared
+    ;
+
+  if (head.length < 4 && !final) return null;
+
+  for (var i = 0; i < BOMS.length; i++) {
+    bom = BOMS[i].bytes;
+    if (head.length >= bom.length && bom.every(function (byte, j) { return head[j] === byte; })) {
+      return BOMS[i].encoding;
+    }
+  }
+
+  // UTF-16 without a byte order mark; look for "<?"
+  if (head[0] === 0x3C && head[1] === 0x00 && head[2] === 0x3F && head[3] === 0x00) return 'utf-16le';
+  if (head[0] === 0x00 && head[1] === 0x3C && head[2] === 0x00 && head[3] === 0x3F) return 'utf-16be';
+
+  text = head.slice(0, MAX_HEAD_LENGTH).toString('binary').replace(/^\s+/, '');
+  if (!final && head.length < MAX_HEAD_LENGTH && text.charAt(0) === '<' && text.indexOf('>') === -1) {
+    return null; // Wait for the end of the XML declaration
+  }
+
+  declared = text.match(/^<\?xml\s[^>]*?encoding\s*=\s*["']([^"']+)["']/);
+  if (declared && (declared = normalize(declared[1])) && !/^utf-?(16|32)/.test(declared)) {
+    // A document that declares UTF-16 or UTF-32 but reached this point is
+    // really some ASCII-compatible encoding, so don't believe it
+    return declared;
+  }
+
+  return normalize(charset) || 'utf-8';
+}
+exports.detect = detect;
+
+/*
+ * Get a streaming decoder for an encoding
+ *
+ * @param {String} encoding
+ * @return {Object} with write(Buffer) and end() methods, returning Strings
+ * @private
+ */
+function decoder (encoding) {
+  return iconv.getDecoder(encoding);
+}
+exports.decoder = decoder;
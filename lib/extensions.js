@@ -0,0 +1,168 @@
+var indexOfObject = require('array-indexofobject')
+  , namespaces = require('./namespaces')
+  , media = require('./media')
+  , itunes = require('./itunes')
+  , podcast = require('./podcast')
+  , _ = require('./utils');
+
+/*
+ * The registered extensions, in the order they run, and the Objects they
+ * were registered as
+ */
+var registry = []
+  , registered = [];
+
+/*
+ * The namespace table as it is without any extension
+ */
+var builtin = _.assign({}, namespaces);
+
+/*
+ * Check an extension and copy it with its uri normalized to an Array
+ *
+ * An extension is an Object with:
+ *   - uri {String|Array} the namespace URI(s) of its elements
+ *   - prefix {String} the prefix its elements will have, whatever prefix
+ *     the feed actually uses, e.g., 'media' for 'media:content'
+ *   - meta {Function} (optional) called as meta(node, meta) with the
+ *     channel/feed node and the normalized meta, which it may modify
+ *   - item {Function} (optional) called as item(node, item, meta) with the
+ *     item/entry node and the normalized item, which it may modify
+ *
+ * Both functions are called with the FeedParser as `this`, and only when
+ * the parser normalizes.
+ *
+ * @param {Object} extension
+ * @param {Object} table the namespace table the extension will be added to
+ * @return {Object} the normalized copy of the extension
+ * @private
+ */
+function validate (extension, table) {
+  if (!extension || typeof extension !== 'object') {
+    throw new Error('Invalid extension');
+  }
+  var uris = Array.isArray(extension.uri) ? extension.uri : [extension.uri];
+  if (!uris.length || !uris.every(function (uri) { return typeof uri === 'string' && uri; })) {
+    throw new Error('Invalid extension uri: ' + extension.uri);
+  }
+  if (typeof extension.prefix !== 'string' || !/^[a-z_][\w.-]*$/i.test(extension.prefix)) {
+    throw new Error('Invalid extension prefix: ' + extension.prefix);
+  }
+  ['meta', 'item'].forEach(function (name) {
+    if (name in extension && typeof extension[name] !== 'function') {
+      throw new Error('Invalid extension ' + name + ' handler');
+    }
+  });
+  uris.forEach(function (uri) {
+    if (table[uri] && table[uri] !== extension.prefix) {
+      throw new Error('Namespace ' + uri + ' already has the prefix ' + table[uri]);
+    }
+  });
+  return _.assign({}, extension, { uri: uris });
+}
+exports.validate = validate;
+
+/*
+ * Register an extension for every FeedParser
+ *
+ * @param {Object} extension see validate()
+ * @return {Object} the extension
+ * @api public
+ */
+function register (extension) {
+  var normalized = validate(extension, namespaces);
+  normalized.uri.forEach(function (uri) {
+    namespaces[uri] = normalized.prefix;
+  });
+  registry.push(normalized);
+  registered.push(extension);
+  return normalized;
+}
+exports.register = register;
+
+/*
+ * Unregister an extension, and forget the prefix of any namespace it added
+ *
+ * @param {Object} extension as passed to or returned by register()
+ * @return {Boolean} whether the extension was registered
+ * @api public
+ */
+function unregister (extension) {
+  var index = registry.indexOf(extension);
+  if (index === -1) index = registered.indexOf(extension);
+  if (index === -1) return false;
+  extension = registry[index];
+  registry.splice(index, 1);
+  registered.splice(index, 1);
+  extension.uri.forEach(function (uri) {
+    var used = registry.some(function (other) {
+      return ~other.uri.indexOf(uri);
+    });
+    if (!used && !(uri in builtin)) delete namespaces[uri];
+  });
+  return true;
+}
+exports.unregister = unregister;
+
+/*
+ * Get the registered extensions
+ *
+ * @return {Array}
+ * @private
+ */
+function list () {
+  return registry.slice();
+}
+exports.list = list;
+
+/*
+ * The built-in extensions
+ */
+register({
+  uri: ['http://search.yahoo.com/mrss/', 'http://search.yahoo.com/mrss'], // the latter is commonly-used but wrong
+  prefix: 'media',
+  meta: function (node, meta) {
+    meta.media = media(node);
+  },
+  item: function (node, item, meta) {
+    item.media = media(node, meta.media);
+  }
+});
+
+register({
+  uri: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+  prefix: 'itunes',
+  meta: function (node, meta) {
+    meta.itunes = itunes(node);
+  },
+  item: function (node, item) {
+    item.itunes = itunes(node);
+  }
+});
+
+register({
+  uri: [
+    'https://podcastindex.org/namespace/1.0',
+    'https://github.com/Podcastindex-org/podcast-namespace/blob/main/docs/1.0.md' // as first published
+  ],
+  prefix: 'podcast',
+  meta: function (node, meta) {
+    meta.podcast = podcast(node);
+  },
+  item: function (node, item) {
+    item.podcast = podcast(node);
+    if (!(item.podcast && item.podcast.alternateEnclosures)) return;
+    // Each source of an alternate enclosure is an enclosure, too
+    item.podcast.alternateEnclosures.forEach(function (alternate) {
+      alternate.sources.forEach(function (source) {
+        var enclosure = {};
+        enclosure.url = source.uri;
+        enclosure.type = source.contentType || alternate.type;
+        enclosure.length = alternate.length !== null ? String(alternate.length) : null;
+        if (indexOfObject(item.enclosures, enclosure, ['url', 'type']) === -1) {
+          item.enclosures.push(enclosure);
+        }
+      });
+    });
+  }
+});
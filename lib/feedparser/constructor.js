@@ -0,0 +1,6 @@
+/*
+ * The FeedParser constructor, for the modules that lib/feedparser requires,
+ * since they can't require it in turn: lib/feedparser sets it as soon as
+ * it's defined
+ */
+exports.FeedParser = null;
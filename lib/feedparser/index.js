@@ -6,6 +6,8 @@
 
 **********************************************************************/
 
+/*global Symbol*/
+
 /**
  * Module dependencies.
  */
@@ -14,6 +16,20 @@ var sax = require('sax')
   , indexOfObject = require('array-indexofobject')
   , util = require('util')
   , TransformStream = require('readable-stream').Transform
+  , encodings = require('../encoding')
+  , namespaces = require('../namespaces')
+  , extensions = require('../extensions')
+  , persons = require('../persons')
+  , dates = require('../dates')
+  , sanitize = require('../sanitize')
+  , thread = require('../thread')
+  , content = require('../content')
+  , geo = require('../geo')
+  , paging = require('../paging')
+  , identity = require('../identity')
+  , state = require('../state')
+  , validate = require('../validate')
+  , promise = require('../promise')
   , _ = require('../utils');
 
 /**
@@ -25,35 +41,60 @@ var sax = require('sax')
  *   - title {String}
  *   - description {String}
  *   - summary {String}
+ *   - content {Object} the full content {type, value, src, lang} (or null)
  *   - date {Date} (or null)
  *   - pubdate {Date} (or null)
+ *   - #raw-date {String} the original text of the date element, if any
+ *   - #raw-pubdate {String} the original text of the pubdate element, if any
  *   - link {String}
  *   - origlink {String}
  *   - author {String}
+ *   - authors {Array} of {name, email, uri}
+ *   - contributors {Array} of {name, email, uri}
  *   - guid {String}
+ *   - id {String} a hash of the guid, link or content, to tell items apart
+ *   - status {String} 'new' or 'updated', only with the state or store options
  *   - comments {String}
+ *   - inReplyTo {Array} of {ref, href, type, source}
+ *   - replies {Array} of {href, type, count, updated}
+ *   - replyCount {Number} (or null)
+ *   - location {Object} GeoJSON Feature (or null)
  *   - image {Object}
  *   - categories {Array}
  *   - source {Object}
  *   - enclosures {Array}
+ *   - media {Object} (or null)
+ *   - itunes {Object} (or null)
+ *   - podcast {Object} (or null)
  *   - meta {Object}
  *   - Object.keys(meta):
  *     - #ns {Array} key,value pairs of each namespace declared for the feed
- *     - #type {String} one of 'atom', 'rss', 'rdf'
+ *     - #type {String} one of 'atom', 'rss', 'rdf', 'json'
  *     - #version {String}
+ *     - #encoding {String} the character encoding used to decode the feed
  *     - title {String}
  *     - description {String}
  *     - date {Date} (or null)
  *     - pubdate {Date} (or null)
+ *     - #raw-date {String} the original text of the date element, if any
+ *     - #raw-pubdate {String} the original text of the pubdate element, if any
  *     - link {String} i.e., to the website, not the feed
  *     - xmlurl {String} the canonical URL of the feed, as declared by the feed
  *     - author {String}
+ *     - authors {Array} of {name, email, uri}
+ *     - contributors {Array} of {name, email, uri}
+ *     - location {Object} GeoJSON Feature (or null)
+ *     - paging {Object} the RFC 5005 links {first, last, previous, next,
+ *       current, prevArchive, nextArchive} and markers {complete, archive}
  *     - language {String}
  *     - image {Object}
  *     - favicon {String}
  *     - copyright {String}
  *     - generator {String}
  *     - categories {Array}
+ *     - media {Object} (or null)
+ *     - itunes {Object} (or null)
+ *     - podcast {Object} (or null)
  *
  * @param {Object} options
  * @api public
@@ -63,6 +104,7 @@ function FeedParser (options) {
   TransformStream.call(this);
   this._readableState.objectMode = true;
   this._readableState.highWaterMark = 16; // max. # of output nodes buffered
+  this._writableState.decodeStrings = false; // Strings are already decoded
 
   this.init();
 
@@ -77,8 +119,19 @@ function FeedParser (options) {
   } else {
     sax.MAX_BUFFER_LENGTH = 16 * 1024 * 1024; // 16M versus the 64K default
   }
+  if (this.options.state && typeof this.options.state === 'object') this.previous = this.options.state;
   if (this.options.feedurl) this.xmlbase.unshift({ '#name': 'xml', '#': this.options.feedurl});
 
+  // Any extensions just for this parser, on top of the registered ones
+  this.namespaces = Object.create(namespaces);
+  this.extensions = (this.options.extensions || []).map(function (extension) {
+    extension = extensions.validate(extension, this.namespaces);
+    extension.uri.forEach(function (uri) {
+      this.namespaces[uri] = extension.prefix;
+    }, this);
+    return extension;
+  }, this);
+
   // See https://github.com/isaacs/sax-js for more info
   this.stream = sax.createStream(this.options.strict /* strict mode - no by default */, {lowercase: true, xmlns: true });
   this.stream.on('error', this.handleSaxError.bind(this));
@@ -106,26 +159,65 @@ FeedParser.prototype.init = function (){
   this.stack = [];
   this.xmlbase = [];
   this.in_xhtml = false;
+  this.in_json = null; // Unknown until we see the first meaningful character
+  this.json = [];
+  this.head = []; // Raw bytes buffered until we know how to decode them
+  this.decoder = null;
   this.xhtml = {}; /* Where to store xhtml elements as associative
                       array with keys: '#' (containing the text)
                       and '#name' (containing the XML element name) */
-  this.errors = [];
+  this.warnings = [];
+  this.findings = []; // Only when validating
+  this.validation = { stack: [], guids: {}, namespaces: {}, authorless: 0 };
+  this.discovered = []; // Links to feeds, in case this is a web page
+  this.seen = {}; // The items so far, by id, to find duplicates
+  this.held = []; // Items waiting for any duplicates to merge into them
+  this.previous = null; // The polling state from the last run
+  this.state = null; // The polling state for the next run, at the end
+  this._loaded_state = false;
 };
 
 FeedParser.prototype.handleEnd = function (){
   // We made it to the end without throwing, but let's make sure we were actually
   // parsing a feed
   if (!(this.meta && this.meta['#type'])) {
-    var e = new Error('Not a feed');
+    var e;
+    if (this.discovered.length) {
+      // Probably a web page, but it tells us where to find its feeds
+      e = new Error('Not a feed, but found links to feeds');
+      e.feeds = this.discovered;
+    } else {
+      e = new Error('Not a feed');
+    }
+    if (this.options.validate) {
+      this.handleFinding('not-a-feed', e.message, _.assign({ element: null }, validate.position(this)));
+    }
     return this.handleError(e);
   }
-  this.push(null);
+  this.held.forEach(function (item) {
+    this.handleChanges(item);
+  }, this);
+  this.held = [];
+  if (this.options.state || this.options.store) {
+    this.state = this.state || { items: {} };
+    this.emit('state', this.state);
+  }
+  if (!this.options.store) {
+    this.push(null);
+  } // Otherwise, we end once we've saved the state
 };
 
 FeedParser.prototype.handleSaxError = function (e) {
-  this.emit('error', e);
+  if (this.options.validate) {
+    var el = this.validation.stack[0];
+    this.handleFinding('malformed-xml', e.message.split('\n')[0], _.assign({ element: el ? el.tag : null }, validate.position(this)));
+  }
   if (this.options.resume_saxerror) {
+    // We'll carry on, so it's just a warning
+    this.handleWarning(e);
     this.resumeSaxError();
+  } else {
+    this.handleError(e);
   }
 };
 
@@ -136,10 +228,92 @@ FeedParser.prototype.resumeSaxError = function () {
   }
 };
 
+/*
+ * Is the given namespace URI the one we know by the given prefix?
+ */
+FeedParser.prototype.nslookup = function (uri, prefix) {
+  return this.namespaces[uri] === prefix;
+};
+
+/*
+ * The prefix we use for the given namespace URI, if we know it
+ */
+FeedParser.prototype.nsprefix = function (uri) {
+  return this.namespaces[uri];
+};
+
+/*
+ * Calls the meta or item handler of every extension
+ *
+ * @param {String} type either 'meta' or 'item'
+ * @param {Object} node the channel or item node
+ * @param {Object} obj the normalized meta or item
+ * @private
+ */
+FeedParser.prototype.handleExtensions = function (type, node, obj) {
+  extensions.list().concat(this.extensions).forEach(function (extension) {
+    if (extension[type]) extension[type].call(this, node, obj, this.meta);
+  }, this);
+};
+
 FeedParser.prototype.handleError = function (e){
   this.emit('error', e);
 };
 
+/*
+ * Records a problem that doesn't stop us from parsing the feed, noting where
+ * we were, and emits it as a `warning`
+ *
+ * @param {Error} warning
+ * @private
+ */
+FeedParser.prototype.handleWarning = function (warning) {
+  var sax = !this.in_json && this.stream._parser // No lines and columns in JSON, for now
+    , current = this.stack[0];
+  if (!('line' in warning)) warning.line = sax ? sax.line + 1 : null;
+  if (!('column' in warning)) warning.column = sax ? sax.column : null;
+  if (!('element' in warning)) warning.element = current && current['#name'] || null;
+  this.warnings.push(warning);
+  this.emit('warning', warning);
+};
+
+/*
+ * Records something wrong with the feed, when validating
+ *
+ * @param {String} code one of the keys of validate.CODES
+ * @param {String} message
+ * @param {Object} location { element, line, column }
+ * @private
+ */
+FeedParser.prototype.handleFinding = function (code, message, location) {
+  this.findings.push({
+    code: code,
+    severity: validate.CODES[code],
+    message: message,
+    location: location
+  });
+};
+
+/*
+ * Parses the text of a date element
+ *
+ * @param {String} raw the original text (or, in JSON, whatever value it has)
+ * @param {String} name the name of the element
+ * @return {Date} or null, in which case a warning is recorded if there was a value
+ * @private
+ */
+FeedParser.prototype.handleDate = function (raw, name) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  var date = typeof raw === 'string' ? dates.parse(raw) : null;
+  if (!date) {
+    var warning = new Error('Invalid date: ' + raw);
+    warning.element = name;
+    warning.value = raw;
+    this.handleWarning(warning);
+  }
+  return date;
+};
+
 // parses the xml declaration, which looks like:
 // <?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 FeedParser.prototype.handleProcessingInstruction = function (node) {
@@ -156,6 +330,7 @@ FeedParser.prototype.handleProcessingInstruction = function (node) {
 
 FeedParser.prototype.handleOpenTag = function (node){
   var n = {};
+  if (this.options.validate) validate.open(this, node);
   n['#name'] = node.name; // Avoid namespace collissions later...
   n['#prefix'] = node.prefix; // The current ns prefix
   n['#local'] = node.local; // The current element name, sans prefix
@@ -171,13 +346,16 @@ FeedParser.prototype.handleOpenTag = function (node){
     // This builds the opening tag, e.g., <div id='foo' class='bar'>
     this.xhtml['#'] += '<'+n['#name'];
     Object.keys(n['@']).forEach(function(name){
-      this.xhtml['#'] += ' '+ name +'="'+ n['@'][name] + '"';
+      var value = n['@'][name];
+      // The sanitizer needs the markup escaped as it was in the feed
+      if (this.options.sanitize) value = _.escapeHtml(value).replace(/"/g, '&quot;');
+      this.xhtml['#'] += ' '+ name +'="'+ value + '"';
     }, this);
     this.xhtml['#'] += '>';
   } else if ( this.stack.length === 0 &&
               (n['#name'] === 'rss' ||
-              (n['#local'] === 'rdf' && _.nslookup([n['#uri']], 'rdf')) ||
-              (n['#local'] === 'feed'&& _.nslookup([n['#uri']], 'atom')) ) ) {
+              (n['#local'] === 'rdf' && this.nslookup(n['#uri'], 'rdf')) ||
+              (n['#local'] === 'feed'&& this.nslookup(n['#uri'], 'atom')) ) ) {
     Object.keys(n['@']).forEach(function(name) {
       var o = {};
       if (name != 'version') {
@@ -199,6 +377,9 @@ FeedParser.prototype.handleOpenTag = function (node){
       this.meta['#version'] = n['@']['version'] || '1.0';
       break;
     }
+  } else if (!this.meta['#type'] && n['#name'] === 'link') {
+    // Links in a web page are never closed, so don't wait for that
+    this.handleDiscovery(n);
   }
   this.stack.unshift(n);
 };
@@ -212,24 +393,28 @@ FeedParser.prototype.handleCloseTag = function (el){
     , baseurl
     ;
   var n = this.stack.shift();
+  if (this.options.validate) validate.close(this, n);
+  if (!this.meta['#type'] && n['#name'] === 'a') {
+    this.handleDiscovery(n);
+  }
   el = el.split(':');
 
   if (el.length > 1 && el[0] === n['#prefix']) {
-    if (_.nslookup(n['#uri'], 'atom')) {
+    if (this.nslookup(n['#uri'], 'atom')) {
       node['#prefix'] = el[0];
       node['#local'] = el.slice(1).join(':');
       node['#type'] = 'atom';
-    } else if (_.nslookup(n['#uri'], 'rdf')) {
+    } else if (this.nslookup(n['#uri'], 'rdf')) {
       node['#prefix'] = el[0];
       node['#local'] = el.slice(1).join(':');
       node['#type'] = 'rdf';
     } else {
-      node['#prefix'] = _.nsprefix(n['#uri']) || n['#prefix'];
+      node['#prefix'] = this.nsprefix(n['#uri']) || n['#prefix'];
       node['#local'] = el.slice(1).join(':');
     }
   } else {
     node['#local'] = node['#name'];
-    node['#type'] = _.nsprefix(n['#uri']) || n['#prefix'];
+    node['#type'] = this.nsprefix(n['#uri']) || n['#prefix'];
   }
   delete n['#name'];
   delete n['#local'];
@@ -301,7 +486,8 @@ FeedParser.prototype.handleCloseTag = function (el){
       item.meta = this.meta;
     }
     if (this.meta.author && !item.author) item.author = this.meta.author;
-    this.push(item);
+    if (this.meta.authors && item.authors && !item.authors.length) item.authors = this.meta.authors.slice();
+    this.handleDuplicates(item);
   } else if (!this.meta.title && // We haven't yet parsed all the metadata
               (node['#name'] === 'channel' ||
                node['#name'] === 'feed' ||
@@ -332,9 +518,111 @@ FeedParser.prototype.handleCloseTag = function (el){
   }
 };
 
+/*
+ * Pushes an item, unless the duplicates option says to drop or merge it
+ * because an earlier item had the same id. When merging, every item waits
+ * until the end, since a duplicate could turn up at any point.
+ *
+ * @param {Object} item
+ * @private
+ */
+FeedParser.prototype.handleDuplicates = function (item) {
+  var mode = this.options.duplicates
+    , first;
+  if ((mode === 'drop' || mode === 'merge') && item.id) {
+    first = this.seen[item.id];
+    if (first) {
+      if (mode === 'merge') identity.merge(first, item);
+      return;
+    }
+    this.seen[item.id] = item;
+    if (mode === 'merge') return this.held.push(item);
+  }
+  this.handleChanges(item);
+};
+
+/*
+ * Pushes an item, unless we are polling and it hasn't changed since the
+ * last run, marking it as 'new' or 'updated' if it has
+ *
+ * @param {Object} item
+ * @private
+ */
+FeedParser.prototype.handleChanges = function (item) {
+  if (!(this.options.state || this.options.store) || !item.id) return this.push(item);
+  var entry = state.entry(item);
+  this.state = this.state || { items: {} };
+  this.state.items[item.id] = entry;
+  item.status = state.status(this.previous, item.id, entry);
+  if (item.status) this.push(item);
+};
+
+/*
+ * Gets the polling state of the last run from the store
+ *
+ * @param {Function} done
+ * @private
+ */
+FeedParser.prototype.loadState = function (done) {
+  var key = this.options.key || this.options.feedurl;
+  this._loaded_state = true;
+  if (!key) return done(new Error('The store option needs the key or feedurl option'));
+  this.options.store.get(key, function (err, previous) {
+    if (err) return done(err);
+    this.previous = this.previous || previous || null; // The state option wins
+    done();
+  }.bind(this));
+};
+
+/*
+ * Saves the polling state for the next run to the store
+ *
+ * @param {Function} done
+ * @private
+ */
+FeedParser.prototype.saveState = function (done) {
+  if (!this.state) return done(); // Not a feed, so nothing to save
+  this.options.store.set(this.options.key || this.options.feedurl, this.state, function (err) {
+    done(err);
+  });
+};
+
+/*
+ * The media types of feeds advertised by web pages. Plain application/json
+ * is only a feed when the link says so, with rel="feed", since pages link to
+ * all sorts of JSON (e.g., WordPress's REST API).
+ */
+var FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/rdf+xml', 'application/feed+json'];
+
+/*
+ * Looks for a link to a feed in an HTML page, i.e.,
+ * <link rel="alternate" type="application/rss+xml" href="..."> or
+ * an <a> whose href looks like a feed
+ */
+FeedParser.prototype.handleDiscovery = function (node) {
+  var attrs = node['@'] || {}
+    , href = attrs['href']
+    , rel = (attrs['rel'] || '').toLowerCase().split(/\s+/)
+    , type = (attrs['type'] || '').toLowerCase().split(';')[0].trim()
+    , title = attrs['title'] || (typeof node['#'] === 'string' && node['#'].trim()) || null
+    ;
+
+  if (!href) return;
+  if (node['#name'] === 'link') {
+    var isFeedType = !!~FEED_TYPES.indexOf(type);
+    if (!((~rel.indexOf('alternate') && isFeedType) || (~rel.indexOf('feed') && (isFeedType || !type || type === 'application/json')))) return;
+  } else {
+    if (!/\.(rss|rdf|atom|xml)([?#]|$)|\/(feeds?|rss|atom)(\/|\.\w+)?([?#]|$)|[?&](feed|format)=(rss|atom|json)/i.test(href) || /sitemap/i.test(href)) return;
+    type = null;
+  }
+
+  if (this.discovered.some(function (feed) { return feed.url === href; })) return;
+  this.discovered.push({ url: href, title: title, type: type || null });
+};
+
 FeedParser.prototype.handleText = function (text){
   if (this.in_xhtml) {
-    this.xhtml['#'] += text;
+    this.xhtml['#'] += this.options.sanitize ? _.escapeHtml(text) : text;
   } else {
     if (this.stack.length) {
       if (this.stack[0] && '#' in this.stack[0]) {
@@ -377,14 +665,15 @@ FeedParser.prototype.handleAttributes = function handleAttributes (attrs, el) {
     }
     // If the feed is using a non-default prefix, we'll use it, too
     // But we force the use of the 'xml' prefix
-    if (attr.uri && attr.prefix && !_.nslookup(attr.uri, attr.prefix) || _.nslookup(attr.uri, 'xml')) {
-      prefix = ( _.nsprefix(attr.uri) || attr.prefix ) + ( attr.local ? ':' : '' );
+    if (attr.uri && attr.prefix && !this.nslookup(attr.uri, attr.prefix) || this.nslookup(attr.uri, 'xml')) {
+      prefix = ( this.nsprefix(attr.uri) || attr.prefix ) + ( attr.local ? ':' : '' );
     }
-    if (basepath && (attr.local == 'href' || attr.local == 'src' || attr.local == 'uri')) {
+    if (basepath && (attr.local == 'href' || attr.local == 'src' || attr.local == 'uri' ||
+                     (attr.local == 'source' && /(^|:)in-reply-to$/.test(el)))) {
       // Apply xml:base to these elements as they appear
       // rather than leaving it to the ultimate parser
       attr.value = _.resolve(basepath, attr.value);
-    } else if (attr.local === 'base' && _.nslookup(attr.uri, 'xml')) {
+    } else if (attr.local === 'base' && this.nslookup(attr.uri, 'xml')) {
       // Keep track of the xml:base for the current node
       if (basepath) {
         attr.value = _.resolve(basepath, attr.value);
@@ -433,12 +722,23 @@ FeedParser.prototype.handleMeta = function handleMeta (node, type, options) {
       case('modified'):
       case('updated'):
       case('dc:date'):
-        var date = _.get(el) ? new Date(_.get(el)) : null;
-        if (!date) break;
-        if (meta.pubdate === null || name == 'pubdate' || name == 'published')
+        var raw = _.safeTrim(_.get(el))
+          , date = this.handleDate(raw, name)
+          ;
+        if (!date) {
+          // Keep what we couldn't understand, unless we have something better
+          if (raw && meta.pubdate === null && !meta['#raw-pubdate']) meta['#raw-pubdate'] = raw;
+          if (raw && meta.date === null && !meta['#raw-date']) meta['#raw-date'] = raw;
+          break;
+        }
+        if (meta.pubdate === null || name == 'pubdate' || name == 'published') {
           meta.pubdate = meta.pubDate = date;
-        if (meta.date === null || name == 'lastbuilddate' || name == 'modified' || name == 'updated')
+          meta['#raw-pubdate'] = raw;
+        }
+        if (meta.date === null || name == 'lastbuilddate' || name == 'modified' || name == 'updated') {
           meta.date = date;
+          meta['#raw-date'] = raw;
+        }
         break;
       case('link'):
       case('atom:link'):
@@ -672,13 +972,20 @@ FeedParser.prototype.handleMeta = function handleMeta (node, type, options) {
   }, this); // forEach end
 
   if (normalize) {
+    this.handleExtensions('meta', node, meta);
+    meta.authors = persons(node, 'authors');
+    meta.contributors = persons(node, 'contributors');
+    meta.location = geo(node);
+    meta.paging = paging(node, this.xmlbase.length ? this.xmlbase[0]['#'] : null);
+    var _itunes = meta.itunes || {};
     if (!meta.description) {
-      if (node['itunes:summary']) meta.description = _.get(node['itunes:summary']);
+      if (_itunes.summary) meta.description = _itunes.summary;
       else if (node['tagline']) meta.description = _.get(node['tagline']);
     }
     if (!meta.author) {
-      if (node['itunes:author']) meta.author = _.get(node['itunes:author']);
-      else if (node['itunes:owner'] && node['itunes:owner']['itunes:name']) meta.author = _.get(node['itunes:owner']['itunes:name']);
+      if (meta.authors.length) meta.author = meta.authors[0].name || meta.authors[0].email || meta.authors[0].uri;
+      else if (_itunes.author) meta.author = _itunes.author;
+      else if (_itunes.owner && _itunes.owner.name) meta.author = _itunes.owner.name;
       else if (node['dc:creator']) meta.author = _.get(node['dc:creator']);
       else if (node['dc:publisher']) meta.author = _.get(node['dc:publisher']);
     }
@@ -687,7 +994,7 @@ FeedParser.prototype.handleMeta = function handleMeta (node, type, options) {
       else if (node['dc:language']) meta.language = _.get(node['dc:language']);
     }
     if (!meta.image.url) {
-      if (node['itunes:image']) meta.image.url = _.get(node['itunes:image']['@'], 'href');
+      if (_itunes.image) meta.image.url = _itunes.image;
       else if (node['media:thumbnail']) {
         if (Array.isArray(node['media:thumbnail'])) {
           node['media:thumbnail'] = node['media:thumbnail'][0];
@@ -775,12 +1082,23 @@ FeedParser.prototype.handleItem = function handleItem (node, type, options){
       case('modified'):
       case('updated'):
       case('dc:date'):
-        var date = _.get(el) ? new Date(_.get(el)) : null;
-        if (!date) break;
-        if (item.pubdate === null || name == 'pubdate' || name == 'published' || name == 'issued')
+        var raw = _.safeTrim(_.get(el))
+          , date = this.handleDate(raw, name)
+          ;
+        if (!date) {
+          // Keep what we couldn't understand, unless we have something better
+          if (raw && item.pubdate === null && !item['#raw-pubdate']) item['#raw-pubdate'] = raw;
+          if (raw && item.date === null && !item['#raw-date']) item['#raw-date'] = raw;
+          break;
+        }
+        if (item.pubdate === null || name == 'pubdate' || name == 'published' || name == 'issued') {
           item.pubdate = item.pubDate = date;
-        if (item.date === null || name == 'modified' || name == 'updated')
+          item['#raw-pubdate'] = raw;
+        }
+        if (item.date === null || name == 'modified' || name == 'updated') {
           item.date = date;
+          item['#raw-date'] = raw;
+        }
         break;
       case('link'):
         if (Array.isArray(el)) {
@@ -790,7 +1108,6 @@ FeedParser.prototype.handleItem = function handleItem (node, type, options){
                 if (link['@']['rel'] == 'canonical') item.origlink = link['@']['href'];
                 if (link['@']['rel'] == 'alternate' && (!link['@']['type'] || link['@']['type'] == 'text/html') && !item.link) item.link = link['@']['href'];
                 if (link['@']['rel'] == 'self' && (!link['@']['type'] || link['@']['type'] == 'text/html') && !item.link) item.link = link['@']['href'];
-                if (link['@']['rel'] == 'replies') item.comments = link['@']['href'];
                 if (link['@']['rel'] == 'enclosure') {
                   enclosure = {};
                   enclosure.url = link['@']['href'];
@@ -813,7 +1130,6 @@ FeedParser.prototype.handleItem = function handleItem (node, type, options){
               if (el['@']['rel'] == 'canonical') item.origlink = el['@']['href'];
               if (el['@']['rel'] == 'alternate' && (!el['@']['type'] || el['@']['type'] == 'text/html') && !item.link) item.link = el['@']['href'];
               if (el['@']['rel'] == 'self' && (!el['@']['type'] || el['@']['type'] == 'text/html') && !item.link) item.link = el['@']['href'];
-              if (el['@']['rel'] == 'replies') item.comments = el['@']['href'];
               if (el['@']['rel'] == 'enclosure') {
                 enclosure = {};
                 enclosure.url = el['@']['href'];
@@ -1035,16 +1351,30 @@ FeedParser.prototype.handleItem = function handleItem (node, type, options){
   }, this); // forEach end
 
   if (normalize) {
+    this.handleExtensions('item', node, item);
+    item.authors = persons(node, 'authors');
+    item.contributors = persons(node, 'contributors');
+    item.location = geo(node);
+    item.content = content(node, this.meta.language);
+    _.assign(item, thread(node));
+    if (!item.comments && item.replies.length) {
+      // Prefer the web page over, e.g., a feed of the replies
+      item.comments = (item.replies.filter(function (reply) {
+        return !reply.type || reply.type === 'text/html';
+      })[0] || item.replies[0]).href;
+    }
+    var _itunes = item.itunes || {};
     if (!item.description) {
-      if (node['itunes:summary']) item.description = _.get(node['itunes:summary']);
+      if (_itunes.summary) item.description = _itunes.summary;
     }
     if (!item.author) {
-      if (node['itunes:author']) item.author = _.get(node['itunes:author']);
-      else if (node['itunes:owner'] && node['itunes:owner']['itunes:name']) item.author = _.get(node['itunes:owner']['itunes:name']);
+      if (item.authors.length) item.author = item.authors[0].name || item.authors[0].email || item.authors[0].uri;
+      else if (_itunes.author) item.author = _itunes.author;
+      else if (_itunes.owner && _itunes.owner.name) item.author = _itunes.owner.name;
       else if (node['dc:publisher']) item.author = _.get(node['dc:publisher']);
     }
     if (!item.image.url) {
-      if (node['itunes:image']) item.image.url = _.get(node['itunes:image']['@'], 'href');
+      if (_itunes.image) item.image.url = _itunes.image;
       else if (node['media:thumbnail']) {
         if (Array.isArray(node['media:thumbnail'])) {
           item.image.url = _.get(node['media:thumbnail'][0]['@'], 'url');
@@ -1066,14 +1396,270 @@ FeedParser.prototype.handleItem = function handleItem (node, type, options){
       }
     }
     item.title = item.title && _.stripHtml(item.title);
+    item.id = identity.fingerprint(_.get(node['guid']) || _.get(node['id']) || _.get(node['atom:id']), item);
+    if (options && options.sanitize) {
+      item.description = sanitize(item.description, options.sanitize);
+      item.summary = sanitize(item.summary, options.sanitize);
+      if (item.content && item.content.value && (item.content.type === 'html' || item.content.type === 'xhtml')) {
+        item.content.value = sanitize(item.content.value, options.sanitize);
+      }
+    }
   }
   return item;
 };
 
+/*
+ * Parses a complete JSON Feed (https://jsonfeed.org) document, emitting the
+ * meta and pushing each item just as we would for an XML feed
+ */
+FeedParser.prototype.handleJSONFeed = function (text) {
+  var feed;
+  try {
+    feed = JSON.parse(text.replace(/^\ufeff/, ''));
+  } catch (e) {
+    feed = null;
+  }
+  if (!(feed && typeof feed.version === 'string' && /^https?:\/\/jsonfeed\.org\/version\//.test(feed.version))) {
+    return this.handleEnd(); // We are not parsing a feed
+  }
+
+  this.meta['#type'] = 'json';
+  this.meta['#version'] = feed.version.replace(/^.*\/version\//, '');
+  _.assign(this.meta, this.handleJSONMeta(feed, this.options));
+  this.emit('meta', this.meta);
+  this._emitted_meta = true;
+
+  (Array.isArray(feed.items) ? feed.items : []).forEach(function (entry) {
+    if (!entry || typeof entry !== 'object') return; // Not an item at all
+    var item = this.handleJSONItem(entry, this.options);
+    if (this.options.addmeta) {
+      item.meta = this.meta;
+    }
+    if (this.meta.author && !item.author) item.author = this.meta.author;
+    if (this.meta.authors && item.authors && !item.authors.length) item.authors = this.meta.authors.slice();
+    this.handleDuplicates(item);
+  }, this);
+  this.handleEnd();
+};
+
+FeedParser.prototype.handleJSONMeta = function handleJSONMeta (feed, options) {
+  var meta = {}
+    , normalize = !options || (options && options.normalize)
+    , baseurl = (options && options.feedurl) || jsonText(feed.feed_url)
+    , authors = jsonAuthors(feed)
+    , author = authors[0]
+    , hub
+    ;
+
+  if (normalize) {
+    ['title','description','date', 'pubdate', 'pubDate','link', 'xmlurl', 'xmlUrl','author','language','favicon','copyright','generator'].forEach(function (property){
+      meta[property] = null;
+    });
+    meta.cloud = {};
+    meta.image = {};
+    meta.categories = [];
+    meta.media = null;
+    meta.itunes = null;
+    meta.podcast = null;
+    meta.authors = authors;
+    meta.contributors = [];
+    meta.location = null;
+
+    meta.title = jsonText(feed.title) && _.stripHtml(jsonText(feed.title));
+    meta.description = jsonText(feed.description) && _.stripHtml(jsonText(feed.description));
+    meta.link = jsonUrl(baseurl, feed.home_page_url);
+    meta.xmlurl = meta.xmlUrl = jsonUrl(baseurl, feed.feed_url) || (options && options.feedurl) || null;
+    meta.author = author && (author.name || author.uri) || null;
+    meta.language = jsonText(feed.language);
+    if (jsonUrl(baseurl, feed.icon)) meta.image.url = jsonUrl(baseurl, feed.icon);
+    meta.favicon = jsonUrl(baseurl, feed.favicon);
+    meta.paging = paging({});
+    meta.paging.next = jsonUrl(baseurl, feed.next_url);
+    if (Array.isArray(feed.hubs) && (hub = feed.hubs[0]) && jsonText(hub.url)) {
+      meta.cloud.type = 'hub';
+      meta.cloud.href = jsonText(hub.url);
+    }
+  }
+  // Fill with all native properties
+  Object.keys(feed).forEach(function (name) {
+    if (name !== 'items') meta['json:' + name] = feed[name];
+  });
+
+  return meta;
+};
+
+FeedParser.prototype.handleJSONItem = function handleJSONItem (entry, options) {
+  var item = {}
+    , normalize = !options || (options && options.normalize)
+    , baseurl = this.meta.xmlurl || (options && options.feedurl)
+    , authors
+    , image
+    ;
+
+  if (!entry || typeof entry !== 'object') return item;
+
+  if (normalize) {
+    ['title','description','summary','date','pubdate','pubDate','link','guid','author','comments', 'origlink'].forEach(function (property){
+      item[property] = null;
+    });
+    item.image = {};
+    item.source = {};
+    item.categories = [];
+    item.enclosures = [];
+    item.media = null;
+    item.itunes = null;
+    item.podcast = null;
+    item.authors = authors = jsonAuthors(entry);
+    item.contributors = [];
+    item.inReplyTo = [];
+    item.replies = [];
+    item.replyCount = null;
+    item.location = null;
+
+    item.title = jsonText(entry.title) && _.stripHtml(jsonText(entry.title));
+    item.description = jsonText(entry.content_html) || jsonText(entry.content_text);
+    item.content = item.description && {
+      type: jsonText(entry.content_html) ? 'html' : 'text',
+      value: item.description,
+      src: null,
+      lang: jsonText(entry.language) || this.meta.language || null
+    };
+    item.summary = jsonText(entry.summary);
+    if ((item.pubdate = item.pubDate = this.handleDate(entry.date_published, 'date_published'))) {
+      item['#raw-pubdate'] = entry.date_published;
+    }
+    if ((item.date = this.handleDate(entry.date_modified, 'date_modified'))) {
+      item['#raw-date'] = entry.date_modified;
+    } else if (item.pubdate) {
+      item.date = item.pubdate;
+      item['#raw-date'] = item['#raw-pubdate'];
+    }
+    item.link = jsonUrl(baseurl, entry.url);
+    item.guid = jsonText(entry.id);
+    if (!item.link && item.guid && /^https?:/.test(item.guid)) item.link = item.guid;
+    item.id = identity.fingerprint(item.guid, item);
+    item.author = authors.length && (authors[0].name || authors[0].uri) || null;
+    image = jsonUrl(baseurl, entry.image) || jsonUrl(baseurl, entry.banner_image);
+    if (image) item.image.url = image;
+    if (jsonUrl(baseurl, entry.external_url)) item.source.url = jsonUrl(baseurl, entry.external_url);
+    if (Array.isArray(entry.tags)) {
+      item.categories = _.uniq(entry.tags.filter(function (tag) {
+        return typeof tag === 'string' && tag.trim();
+      }).map(function (tag) { return tag.trim(); }));
+    }
+    if (Array.isArray(entry.attachments)) {
+      entry.attachments.forEach(function (attachment) {
+        if (!(attachment && jsonUrl(baseurl, attachment.url))) return;
+        var enclosure = {};
+        enclosure.url = jsonUrl(baseurl, attachment.url);
+        enclosure.type = jsonText(attachment.mime_type);
+        enclosure.length = attachment.size_in_bytes !== undefined ? String(attachment.size_in_bytes) : null;
+        if (attachment.duration_in_seconds !== undefined) enclosure.duration = String(attachment.duration_in_seconds);
+        if (jsonText(attachment.title)) enclosure.title = jsonText(attachment.title);
+        if (indexOfObject(item.enclosures, enclosure, ['url', 'type']) === -1) {
+          item.enclosures.push(enclosure);
+        }
+      });
+    }
+    if (options && options.sanitize) {
+      item.description = sanitize(item.description, options.sanitize);
+      item.summary = sanitize(item.summary, options.sanitize);
+      if (item.content && item.content.value && (item.content.type === 'html' || item.content.type === 'xhtml')) {
+        item.content.value = sanitize(item.content.value, options.sanitize);
+      }
+    }
+  }
+  // Fill with all native properties
+  Object.keys(entry).forEach(function (name) {
+    item['json:' + name] = entry[name];
+  });
+
+  return item;
+};
+
+/*
+ * Get the authors of a JSON Feed or item as { name, email, uri } objects;
+ * version 1.1 has an `authors` Array, version 1.0 has a single `author`
+ * @private
+ */
+function jsonAuthors (obj) {
+  return _.asArray(Array.isArray(obj.authors) ? obj.authors : obj.author).filter(function (author) {
+    return author && (jsonText(author.name) || jsonText(author.url));
+  }).map(function (author) {
+    return { name: jsonText(author.name), email: null, uri: jsonText(author.url) };
+  });
+}
+
+/*
+ * Get a JSON Feed text property, which should be a String, but may be a
+ * Number or anything else in the wild
+ * @private
+ */
+function jsonText (value) {
+  if (typeof value === 'number' && isFinite(value)) return String(value);
+  return typeof value === 'string' && value ? value : null;
+}
+
+/*
+ * Resolve a (possibly relative) JSON Feed url
+ * @private
+ */
+function jsonUrl (baseurl, url) {
+  if (!url || typeof url !== 'string') return null;
+  return baseurl ? _.resolve(baseurl, url) : url;
+}
+
+/*
+ * Decide how to decode the input, given its first bytes
+ *
+ * Returns false if we need to see more bytes to decide.
+ */
+FeedParser.prototype.handleEncoding = function (head, final) {
+  var detected = encodings.detect(head, this.options.charset, final);
+  if (!detected) return false;
+  this.meta['#encoding'] = detected;
+  this.decoder = encodings.decoder(detected);
+  return true;
+};
+
+FeedParser.prototype.handleDecodedText = function (text) {
+  if (!text) return;
+  if (this.in_json === null) {
+    // Sniff the first meaningful character to tell JSON Feed from XML
+    var head = text.replace(/^[\s\ufeff]+/, '');
+    if (head.length) {
+      this.in_json = head.charAt(0) === '{';
+    }
+  }
+  if (this.in_json) {
+    this.json.push(text);
+  } else {
+    this.stream.write(text);
+  }
+};
+
 // Naive Stream API
 FeedParser.prototype._transform = function (data, encoding, done) {
+  if (this.options.store && !this._loaded_state) {
+    // Wait for the last run's state before we look at any items
+    return this.loadState(function (err) {
+      if (err) return done(err);
+      this._transform(data, encoding, done);
+    }.bind(this));
+  }
+  if (typeof data === 'string' && !this.decoder && !this.head.length) {
+    // Already decoded, so whatever encoding the feed declares is moot
+    this.meta['#encoding'] = 'utf-8';
+    this.decoder = encodings.decoder('utf-8');
+  }
+  if (!this.decoder) {
+    this.head.push(typeof data === 'string' ? new Buffer(data, 'utf8') : data);
+    data = Buffer.concat(this.head);
+    if (!this.handleEncoding(data, false)) return done();
+    this.head = [];
+  }
   try {
-    this.stream.write(data);
+    this.handleDecodedText(typeof data === 'string' ? data : this.decoder.write(data));
     done();
   }
   catch (e) {
@@ -1084,7 +1670,18 @@ FeedParser.prototype._transform = function (data, encoding, done) {
 
 FeedParser.prototype._flush = function (done) {
   try {
-    this.stream.end();
+    if (!this.decoder) {
+      this.handleEncoding(Buffer.concat(this.head), true);
+      this.handleDecodedText(this.decoder.write(Buffer.concat(this.head)));
+      this.head = [];
+    }
+    this.handleDecodedText(this.decoder.end());
+    if (this.in_json) {
+      this.handleJSONFeed(this.json.join(''));
+    } else {
+      this.stream.end();
+    }
+    if (this.options.store && this._loaded_state) return this.saveState(done);
     done();
   }
   catch (e) {
@@ -1093,3 +1690,29 @@ FeedParser.prototype._flush = function (done) {
 };
 
 exports = module.exports = FeedParser;
+require('./constructor').FeedParser = FeedParser;
+FeedParser.FeedWriter = require('../writer');
+FeedParser.fetch = require('../fetch');
+FeedParser.sanitize = sanitize;
+FeedParser.OpmlParser = require('../opml/parser');
+FeedParser.OpmlWriter = require('../opml/writer');
+FeedParser.registerExtension = extensions.register;
+FeedParser.unregisterExtension = extensions.unregister;
+FeedParser.FileStore = state.FileStore;
+FeedParser.WebSubSubscriber = require('../websub');
+FeedParser.RssCloudSubscriber = require('../rsscloud');
+FeedParser.validate = validate.validate;
+FeedParser.walk = paging.walk;
+FeedParser.parseString = promise.parseString;
+FeedParser.parseBuffer = promise.parseBuffer;
+
+if (typeof Symbol === 'function' && Symbol.asyncIterator) {
+  /**
+   * Iterate over the items with `for await (const item of parser)`
+   *
+   * @api public
+   */
+  FeedParser.prototype[Symbol.asyncIterator] = function () {
+    return promise.iterate(this);
+  };
+}
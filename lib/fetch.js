@@ -0,0 +1,218 @@
+var http = require('http')
+  , https = require('https')
+  , zlib = require('zlib')
+  , URL = require('url')
+  , pkg = require('../package.json')
+  , feedparser = require('./feedparser/constructor')
+  , _ = require('./utils');
+
+var REDIRECT_CODES = [301, 302, 303, 307, 308];
+
+/**
+ * Fetch a feed and parse it
+ *
+ * Returns a FeedParser stream right away. It also emits:
+ *   - response {Object} with the final `url`, `status`, `headers`, `etag` and
+ *     `lastModified` once the feed has been found
+ *   - notmodified {Object} the same, instead of any items, if the server says
+ *     the feed has not changed since the given `etag` or `lastModified`
+ *
+ * In addition to the FeedParser options, the options may include:
+ *   - headers {Object} additional request headers
+ *   - timeout {Number} milliseconds to wait for the server (default: 10000)
+ *   - maxRedirects {Number} (default: 5)
+ *   - etag {String} the ETag from the last time the feed was fetched
+ *   - lastModified {String} the Last-Modified header from the last time
+ *
+ * @param {String} url
+ * @param {Object} [options]
+ * @return {FeedParser}
+ * @api public
+ */
+function fetch (url, options) {
+  options = _.assign({}, options);
+  if (!('timeout' in options)) options.timeout = 10000;
+  if (!('maxRedirects' in options)) options.maxRedirects = 5;
+
+  var parser = new feedparser.FeedParser(options)
+    , redirects = 0
+    , finished = false
+    ;
+
+  function fail (err) {
+    if (finished) return;
+    finished = true;
+    parser.emit('error', err);
+    parser.push(null);
+  }
+
+  function get (url) {
+    var uri = URL.parse(url)
+      , transport = uri.protocol === 'https:' ? https : uri.protocol === 'http:' ? http : null
+      , req
+      ;
+
+    if (!transport) return fail(new Error('Unsupported protocol: ' + uri.protocol));
+
+    req = transport.get({
+      protocol: uri.protocol,
+      hostname: uri.hostname,
+      port: uri.port,
+      path: uri.path,
+      auth: uri.auth,
+      headers: headers(options)
+    });
+    req.on('error', fail);
+    req.setTimeout(options.timeout, function () {
+      fail(new Error('Request timed out'));
+      req.abort();
+    });
+    req.on('response', function (res) {
+      var response = {
+        url: url,
+        status: res.statusCode,
+        headers: res.headers,
+        etag: res.headers['etag'] || null,
+        lastModified: res.headers['last-modified'] || null
+      };
+
+      if (~REDIRECT_CODES.indexOf(res.statusCode) && res.headers['location']) {
+        res.resume();
+        if (++redirects > options.maxRedirects) {
+          return fail(new Error('Too many redirects'));
+        }
+        return get(_.resolve(url, res.headers['location']));
+      }
+
+      if (res.statusCode === 304) {
+        res.resume();
+        finished = true;
+        parser.response = response;
+        parser.emit('notmodified', response);
+        return parser.push(null);
+      }
+
+      if (res.statusCode !== 200) {
+        res.resume();
+        var err = new Error('Bad status code');
+        err.status = res.statusCode;
+        return fail(err);
+      }
+
+      parser.response = response;
+      // The final url is the best base url we could have
+      if (!options.feedurl) {
+        parser.options.feedurl = url;
+        parser.xmlbase.unshift({ '#name': 'xml', '#': url });
+      }
+      // Only used if the feed doesn't declare its encoding, since servers often get it wrong
+      if (!options.charset) {
+        parser.options.charset = _.contentTypeParams(res.headers['content-type']).charset;
+      }
+      parser.emit('response', response);
+
+      var body = decompress(res, res.headers['content-encoding']);
+      if (body instanceof Error) {
+        res.resume();
+        return fail(body);
+      }
+      body.on('error', fail);
+      body.on('end', function () {
+        finished = true;
+      });
+      body.pipe(parser);
+    });
+  }
+
+  get(url);
+  return parser;
+}
+
+/*
+ * Build the request headers
+ * @private
+ */
+function headers (options) {
+  var h = {
+    'user-agent': 'node-feedparser/' + pkg.version + ' (+' + pkg.homepage + ')',
+    'accept': 'application/rss+xml, application/rdf+xml;q=0.8, application/atom+xml;q=0.8, application/feed+json;q=0.8, application/xml;q=0.6, text/xml;q=0.6, */*;q=0.1',
+    'accept-encoding': 'gzip, deflate' + (zlib.createBrotliDecompress ? ', br' : '')
+  };
+  if (options.etag) h['if-none-match'] = options.etag;
+  if (options.lastModified) h['if-modified-since'] = options.lastModified;
+  Object.keys(options.headers || {}).forEach(function (name) {
+    h[name.toLowerCase()] = options.headers[name];
+  });
+  return h;
+}
+
+/*
+ * Wrap the response in a decompression stream, if needed
+ * @private
+ */
+function decompress (res, encoding) {
+  encoding = (encoding || 'identity').trim().toLowerCase();
+  if (encoding === 'gzip' || encoding === 'x-gzip') return res.pipe(zlib.createGunzip());
+  if (encoding === 'deflate') return res.pipe(zlib.createInflate());
+  if (encoding === 'br' && zlib.createBrotliDecompress) return res.pipe(zlib.createBrotliDecompress());
+  if (encoding === 'identity') return res;
+  return new Error('Unsupported content encoding: ' + encoding);
+}
+
+/*
+ * POST a request body
+ *
+ * @param {String} url
+ * @param {String} body
+ * @param {String} type the Content-Type of the body
+ * @param {Function} callback called with an error or the response and its
+ *   body, as a String
+ * @private
+ */
+function post (url, body, type, callback) {
+  var uri = URL.parse(url)
+    , transport = uri.protocol === 'https:' ? https : uri.protocol === 'http:' ? http : null
+    , finished = false
+    , req
+    ;
+
+  function done (err, res, text) {
+    if (finished) return;
+    finished = true;
+    callback(err, res, text);
+  }
+
+  if (!transport) return done(new Error('Unsupported protocol: ' + uri.protocol));
+  req = transport.request({
+    method: 'POST',
+    protocol: uri.protocol,
+    hostname: uri.hostname,
+    port: uri.port,
+    path: uri.path,
+    auth: uri.auth,
+    headers: {
+      'user-agent': headers({})['user-agent'],
+      'content-type': type,
+      'content-length': Buffer.byteLength(body)
+    }
+  });
+  req.on('error', done);
+  req.setTimeout(10000, function () {
+    done(new Error('Request timed out'));
+    req.abort();
+  });
+  req.on('response', function (res) {
+    var text = '';
+    res.setEncoding('utf8');
+    res.on('data', function (chunk) {
+      text += chunk;
+    });
+    res.on('end', function () {
+      done(null, res, text);
+    });
+  });
+  req.end(body);
+}
+
+exports = module.exports = fetch;
+exports.post = post;
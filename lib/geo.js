@@ -0,0 +1,174 @@
+var _ = require('./utils');
+
+/*
+ * The GeoRSS elements that describe a location rather than its geometry,
+ * and the name of the GeoJSON property for each
+ */
+var PROPERTIES = {
+  'georss:featurename': 'featureName',
+  'georss:featuretypetag': 'featureTypeTag',
+  'georss:relationshiptag': 'relationshipTag',
+  'georss:elev': 'elevation',
+  'geo:alt': 'elevation',
+  'georss:floor': 'floor',
+  'georss:radius': 'radius'
+};
+
+/*
+ * Build a GeoJSON Feature from the GeoRSS (Simple and GML) and W3C geo
+ * elements of a channel or item node
+ *
+ * See http://www.georss.org/ and https://www.w3.org/2003/01/geo/
+ *
+ * The geometry is a Point, LineString or Polygon (a georss:box becomes a
+ * Polygon with a bbox), or a GeometryCollection if the node has more than
+ * one. Coordinates are [longitude, latitude], as GeoJSON requires, even
+ * though GeoRSS puts the latitude first. The properties are any of
+ * featureName, featureTypeTag, relationshipTag, elevation, floor and radius
+ * (the last three being Numbers).
+ *
+ * @param {Object} node
+ * @return {Object} or null if the node has no location
+ * @private
+ */
+function geo (node) {
+  var geometries = []
+    , properties = {}
+    ;
+
+  _.asArray(node['georss:point']).forEach(function (el) {
+    var points = positions(_.getText(el));
+    if (points && points.length === 1) geometries.push({ type: 'Point', coordinates: points[0] });
+  });
+  _.asArray(node['georss:line']).forEach(function (el) {
+    var points = positions(_.getText(el));
+    if (points && points.length > 1) geometries.push({ type: 'LineString', coordinates: points });
+  });
+  _.asArray(node['georss:polygon']).forEach(function (el) {
+    var points = ring(positions(_.getText(el)));
+    if (points) geometries.push({ type: 'Polygon', coordinates: [points] });
+  });
+  _.asArray(node['georss:box']).forEach(function (el) {
+    var points = positions(_.getText(el));
+    if (points && points.length === 2) geometries.push(box(points[0], points[1]));
+  });
+  _.asArray(node['georss:where']).forEach(function (where) {
+    geometries = geometries.concat(gml(where));
+  });
+  w3c(node).forEach(function (point) {
+    geometries.push(point);
+  });
+
+  if (!geometries.length) return null;
+
+  Object.keys(PROPERTIES).forEach(function (name) {
+    var value = _.getText(node[name]);
+    if (value && !(PROPERTIES[name] in properties)) {
+      properties[PROPERTIES[name]] = /^(elevation|floor|radius)$/.test(PROPERTIES[name]) ? _.toNumber(value) : value;
+    }
+  });
+
+  return {
+    type: 'Feature',
+    geometry: geometries.length === 1 ? geometries[0] : { type: 'GeometryCollection', geometries: geometries },
+    properties: properties
+  };
+}
+
+/*
+ * Get the geometries in a georss:where, i.e., GML
+ * @private
+ */
+function gml (where) {
+  var geometries = [];
+  _.asArray(where['gml:point']).forEach(function (el) {
+    var points = positions(_.getText(el['gml:pos']));
+    if (points && points.length === 1) geometries.push({ type: 'Point', coordinates: points[0] });
+  });
+  _.asArray(where['gml:linestring']).forEach(function (el) {
+    var points = positions(_.getText(el['gml:poslist']));
+    if (points && points.length > 1) geometries.push({ type: 'LineString', coordinates: points });
+  });
+  _.asArray(where['gml:polygon']).forEach(function (el) {
+    var rings = _.asArray(el['gml:exterior']).concat(_.asArray(el['gml:interior'])).map(function (boundary) {
+      var linearRing = _.first(boundary['gml:linearring']) || {};
+      return ring(positions(_.getText(linearRing['gml:poslist'])));
+    });
+    if (rings.length && rings.every(Boolean)) geometries.push({ type: 'Polygon', coordinates: rings });
+  });
+  _.asArray(where['gml:envelope']).forEach(function (el) {
+    var lower = positions(_.getText(el['gml:lowercorner']))
+      , upper = positions(_.getText(el['gml:uppercorner']))
+      ;
+    if (lower && upper && lower.length === 1 && upper.length === 1) geometries.push(box(lower[0], upper[0]));
+  });
+  return geometries;
+}
+
+/*
+ * Get the W3C geo point, either directly in the node or in a geo:point
+ * @private
+ */
+function w3c (node) {
+  return [node].concat(_.asArray(node['geo:point'])).map(function (el) {
+    var lat = _.toNumber(_.getText(el['geo:lat']))
+      , lon = _.toNumber(_.getText(el['geo:long']))
+      , latlong = !el['geo:lat'] && positions(_.getText(el['geo:lat_long']))
+      ;
+    if (latlong && latlong.length === 1) return { type: 'Point', coordinates: latlong[0] };
+    if (lat === null || lon === null) return null;
+    return { type: 'Point', coordinates: [lon, lat] };
+  }).filter(Boolean);
+}
+
+/*
+ * Parse a list of "lat lon" pairs into GeoJSON positions
+ *
+ * @param {String} str e.g., "45.256 -71.92 46.46 -109.48"
+ * @return {Array} of [lon, lat] or null if the list isn't valid
+ * @private
+ */
+function positions (str) {
+  var numbers = (str || '').split(/[\s,]+/).filter(Boolean).map(Number)
+    , result = []
+    ;
+  if (!numbers.length || numbers.length % 2 || numbers.some(isNaN)) return null;
+  for (var i = 0; i < numbers.length; i += 2) {
+    if (Math.abs(numbers[i]) > 90 || Math.abs(numbers[i + 1]) > 180) return null;
+    result.push([numbers[i + 1], numbers[i]]);
+  }
+  return result;
+}
+
+/*
+ * Make sure a list of positions is a closed linear ring
+ * @private
+ */
+function ring (points) {
+  if (!points || points.length < 3) return null;
+  var first = points[0]
+    , last = points[points.length - 1]
+    ;
+  if (first[0] !== last[0] || first[1] !== last[1]) points.push(first.slice());
+  return points.length >= 4 ? points : null;
+}
+
+/*
+ * Build the Polygon of a box from its lower and upper corners
+ * @private
+ */
+function box (lower, upper) {
+  return {
+    type: 'Polygon',
+    bbox: [lower[0], lower[1], upper[0], upper[1]],
+    coordinates: [[
+      [lower[0], lower[1]],
+      [upper[0], lower[1]],
+      [upper[0], upper[1]],
+      [lower[0], upper[1]],
+      [lower[0], lower[1]]
+    ]]
+  };
+}
+
+exports = module.exports = geo;
@@ -0,0 +1,108 @@
+var crypto = require('crypto')
+  , URL = require('url')
+  , indexOfObject = require('array-indexofobject')
+  , _ = require('./utils');
+
+var DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/*
+ * Normalize a link, so that the same page always has the same link
+ *
+ * The scheme and host are lowercased, http and https are treated alike, and
+ * default ports, fragments and utm_* tracking parameters are dropped.
+ *
+ * @param {String} link
+ * @return {String} or null if there is no link
+ * @private
+ */
+function normalizeLink (link) {
+  link = _.safeTrim(link);
+  if (!link) return null;
+  var url = URL.parse(link)
+    , protocol = (url.protocol || '').toLowerCase()
+    , query
+    ;
+  if (!url.host) return link; // Relative, so there's nothing more we can do
+  query = (url.query || '').split('&').filter(function (param) {
+    return param && !/^utm_/i.test(param);
+  }).join('&');
+  return (DEFAULT_PORTS[protocol] ? '' : protocol) + '//' +
+    (url.auth ? url.auth + '@' : '') +
+    url.hostname.toLowerCase() +
+    (url.port && url.port !== DEFAULT_PORTS[protocol] ? ':' + url.port : '') +
+    (url.pathname || '/') +
+    (query ? '?' + query : '');
+}
+exports.normalizeLink = normalizeLink;
+
+/*
+ * Compute an id for an item that stays the same across fetches of the feed
+ *
+ * It's a hash of the first of these the item has:
+ *   - its guid (or Atom id, or JSON Feed id)
+ *   - its link, normalized
+ *   - its title, publication date and content
+ *
+ * @param {String} guid the item's own guid, not one made up from its link
+ * @param {Object} item the normalized item
+ * @return {String} 40 hexadecimal digits
+ * @private
+ */
+function fingerprint (guid, item) {
+  var link = normalizeLink(item.link)
+    , date = item.pubdate || item.date
+    , key
+    ;
+  guid = _.safeTrim(guid);
+  if (guid) {
+    key = 'guid:' + guid;
+  } else if (link) {
+    key = 'link:' + link;
+  } else {
+    key = 'content:' + [
+      item.title || '',
+      date && !isNaN(date) ? date.toISOString() : '',
+      item.description || item.summary || ''
+    ].join('\n');
+  }
+  return crypto.createHash('sha1').update(key, 'utf8').digest('hex');
+}
+exports.fingerprint = fingerprint;
+
+function isEmpty (value) {
+  if (value === null || value === undefined || value === '') return true;
+  if (Array.isArray(value)) return !value.length;
+  if (value instanceof Date) return isNaN(value);
+  if (typeof value === 'object') return !Object.keys(value).length;
+  return false;
+}
+
+/*
+ * Merge a duplicate item into the first one with the same id
+ *
+ * The first item's properties win, but the duplicate fills in the ones it
+ * lacks, and adds to its categories, enclosures and other lists.
+ *
+ * @param {Object} item the first item
+ * @param {Object} duplicate
+ * @return {Object} the item
+ * @private
+ */
+function merge (item, duplicate) {
+  Object.keys(duplicate).forEach(function (key) {
+    var value = duplicate[key]
+      , current = item[key]
+      ;
+    if (key === 'meta' || isEmpty(value)) return;
+    if (isEmpty(current)) {
+      item[key] = value;
+    } else if (Array.isArray(current) && Array.isArray(value)) {
+      value.forEach(function (entry) {
+        var found = entry && typeof entry === 'object' ? indexOfObject(current, entry) : current.indexOf(entry);
+        if (found === -1) current.push(entry);
+      });
+    }
+  });
+  return item;
+}
+exports.merge = merge;
@@ -0,0 +1,113 @@
+var _ = require('./utils');
+
+/*
+ * Build a normalized iTunes podcast object from a channel or item node
+ *
+ * See https://help.apple.com/itc/podcasts_connect/#/itcb54353390
+ *
+ * Only the elements found in the node are included. Flags (explicit, block,
+ * complete, isClosedCaptioned) are Booleans; duration is in seconds; episode,
+ * season and order are Numbers.
+ *
+ * @param {Object} node
+ * @return {Object} or null if the node has no iTunes elements
+ * @private
+ */
+function itunes (node) {
+  var result = {}
+    , el
+    ;
+
+  ['title', 'subtitle', 'summary', 'author'].forEach(function (name) {
+    var value = _.getText(node['itunes:' + name]);
+    if (value) result[name] = value;
+  });
+  if ((el = _.first(node['itunes:image'])) && _.getAttr(el, 'href')) {
+    result.image = _.getAttr(el, 'href');
+  }
+  if ((el = _.first(node['itunes:owner']))) {
+    result.owner = {
+      name: _.getText(el['itunes:name']),
+      email: _.getText(el['itunes:email'])
+    };
+  }
+  if (node['itunes:category']) {
+    result.categories = categories(node['itunes:category']);
+  }
+  if (node['itunes:keywords']) {
+    result.keywords = (_.getText(node['itunes:keywords']) || '').split(',').map(function (keyword) {
+      return keyword.trim();
+    }).filter(Boolean);
+  }
+  if (node['itunes:explicit']) {
+    result.explicit = explicit(_.getText(node['itunes:explicit']));
+  }
+  ['block', 'complete'].forEach(function (name) {
+    if (node['itunes:' + name]) result[name] = /^yes$/i.test(_.getText(node['itunes:' + name]));
+  });
+  if (node['itunes:isclosedcaptioned']) {
+    result.isClosedCaptioned = /^yes$/i.test(_.getText(node['itunes:isclosedcaptioned']));
+  }
+  if (_.getText(node['itunes:type'])) {
+    result.type = _.getText(node['itunes:type']).toLowerCase();
+  }
+  if (_.getText(node['itunes:new-feed-url'])) {
+    result.newFeedUrl = _.getText(node['itunes:new-feed-url']);
+  }
+  if (_.getText(node['itunes:duration'])) {
+    result.duration = duration(_.getText(node['itunes:duration']));
+  }
+  if (_.getText(node['itunes:episodetype'])) {
+    result.episodeType = _.getText(node['itunes:episodetype']).toLowerCase();
+  }
+  ['episode', 'season', 'order'].forEach(function (name) {
+    if (_.getText(node['itunes:' + name])) result[name] = _.toInteger(_.getText(node['itunes:' + name]));
+  });
+
+  return Object.keys(result).length ? result : null;
+}
+
+/*
+ * Build a tree of itunes:category elements, e.g.,
+ * [{ text: 'Technology', categories: [{ text: 'Podcasting', categories: [] }] }]
+ * @private
+ */
+function categories (el) {
+  return _.asArray(el).map(function (category) {
+    return {
+      text: _.getAttr(category, 'text'),
+      categories: category['itunes:category'] ? categories(category['itunes:category']) : []
+    };
+  }).filter(function (category) { return category.text; });
+}
+
+/*
+ * Convert an itunes:duration in any of the forms HH:MM:SS, H:MM:SS, MM:SS,
+ * M:SS or seconds to a Number of seconds
+ *
+ * @param {String} str
+ * @return {Number} or null if we don't understand the duration
+ * @private
+ */
+function duration (str) {
+  var parts = String(str).trim().split(':');
+  if (parts.length > 3 || !parts.every(function (part) { return /^\d+(\.\d+)?$/.test(part); })) {
+    return null;
+  }
+  return parts.reduce(function (seconds, part) {
+    return seconds * 60 + parseFloat(part);
+  }, 0);
+}
+itunes.duration = duration;
+
+/*
+ * itunes:explicit has been "yes"/"no"/"clean" and is now "true"/"false"
+ * @private
+ */
+function explicit (str) {
+  if (/^(yes|true|explicit)$/i.test(str)) return true;
+  if (/^(no|false|clean)$/i.test(str)) return false;
+  return null;
+}
+
+exports = module.exports = itunes;
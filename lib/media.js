@@ -0,0 +1,165 @@
+var _ = require('./utils');
+
+/*
+ * The Media RSS "optional elements", which may appear in a channel, an item,
+ * a media:group or a media:content. Those at a lower level override those at
+ * a higher level. See http://www.rssboard.org/media-rss#optional-elements
+ */
+var OPTIONAL_ELEMENTS = ['title', 'description', 'keywords', 'thumbnails', 'credits', 'ratings', 'player', 'restrictions', 'categories', 'copyright'];
+
+/*
+ * Build a normalized Media RSS object from a channel or item node
+ *
+ * The object has any optional elements found directly in the node, plus:
+ *   - contents {Array} the node's media:content elements
+ *   - groups {Array} the node's media:group elements, each with any optional
+ *     elements found in the group and its own `contents`
+ *
+ * Each media:content includes all of its attributes and all of the optional
+ * elements that apply to it, whether they were found in the media:content
+ * itself or inherited from its group, item or channel.
+ *
+ * @param {Object} node
+ * @param {Object} [parent] the Media RSS object of the channel, when parsing an item
+ * @return {Object} or null if the node has no Media RSS elements
+ * @private
+ */
+function media (node, parent) {
+  var result = elements(node)
+    , inherited = _.assign(pick(parent), result)
+    ;
+
+  result.contents = _.asArray(node['media:content']).map(function (el) {
+    return content(el, inherited);
+  });
+  result.groups = _.asArray(node['media:group']).map(function (group) {
+    var own = elements(group)
+      , groupInherited = _.assign({}, inherited, own)
+      ;
+    own.contents = _.asArray(group['media:content']).map(function (el) {
+      return content(el, groupInherited);
+    });
+    return own;
+  });
+
+  if (!result.contents.length && !result.groups.length && !Object.keys(pick(result)).length) {
+    return null;
+  }
+  return result;
+}
+
+/*
+ * Get the optional elements found directly in a node
+ * @private
+ */
+function elements (node) {
+  var result = {}
+    , el
+    ;
+
+  if ((el = _.first(node['media:title'])) && _.getText(el)) {
+    result.title = { value: _.getText(el), type: _.getAttr(el, 'type') || 'plain' };
+  }
+  if ((el = _.first(node['media:description'])) && _.getText(el)) {
+    result.description = { value: _.getText(el), type: _.getAttr(el, 'type') || 'plain' };
+  }
+  if ((el = _.first(node['media:keywords'])) && _.getText(el)) {
+    result.keywords = _.getText(el).split(',').map(function (keyword) {
+      return keyword.trim();
+    }).filter(Boolean);
+  }
+  if (node['media:thumbnail']) {
+    result.thumbnails = _.asArray(node['media:thumbnail']).map(function (el) {
+      return {
+        url: _.getAttr(el, 'url'),
+        width: _.toNumber(_.getAttr(el, 'width')),
+        height: _.toNumber(_.getAttr(el, 'height')),
+        time: _.getAttr(el, 'time')
+      };
+    }).filter(function (thumbnail) { return thumbnail.url; });
+  }
+  if (node['media:credit']) {
+    result.credits = _.asArray(node['media:credit']).map(function (el) {
+      return {
+        value: _.getText(el),
+        role: _.getAttr(el, 'role'),
+        scheme: _.getAttr(el, 'scheme') || 'urn:ebu'
+      };
+    }).filter(function (credit) { return credit.value; });
+  }
+  if (node['media:rating']) {
+    result.ratings = _.asArray(node['media:rating']).map(function (el) {
+      return {
+        value: _.getText(el),
+        scheme: _.getAttr(el, 'scheme') || 'urn:simple'
+      };
+    }).filter(function (rating) { return rating.value; });
+  }
+  if ((el = _.first(node['media:player'])) && _.getAttr(el, 'url')) {
+    result.player = {
+      url: _.getAttr(el, 'url'),
+      width: _.toNumber(_.getAttr(el, 'width')),
+      height: _.toNumber(_.getAttr(el, 'height'))
+    };
+  }
+  if (node['media:restriction']) {
+    result.restrictions = _.asArray(node['media:restriction']).map(function (el) {
+      return {
+        value: _.getText(el),
+        relationship: _.getAttr(el, 'relationship'),
+        type: _.getAttr(el, 'type')
+      };
+    });
+  }
+  if (node['media:category']) {
+    result.categories = _.asArray(node['media:category']).map(function (el) {
+      return {
+        value: _.getText(el),
+        scheme: _.getAttr(el, 'scheme') || 'http://search.yahoo.com/mrss/category_schema',
+        label: _.getAttr(el, 'label')
+      };
+    }).filter(function (category) { return category.value; });
+  }
+  if ((el = _.first(node['media:copyright'])) && _.getText(el)) {
+    result.copyright = { value: _.getText(el), url: _.getAttr(el, 'url') };
+  }
+  return result;
+}
+
+/*
+ * Build a normalized media:content object
+ * @private
+ */
+function content (el, inherited) {
+  var result = {
+    url: _.getAttr(el, 'url'),
+    type: _.getAttr(el, 'type'),
+    medium: _.getAttr(el, 'medium'),
+    isDefault: _.getAttr(el, 'isdefault') === 'true',
+    expression: _.getAttr(el, 'expression') || 'full',
+    fileSize: _.toNumber(_.getAttr(el, 'filesize')),
+    bitrate: _.toNumber(_.getAttr(el, 'bitrate')),
+    framerate: _.toNumber(_.getAttr(el, 'framerate')),
+    samplingrate: _.toNumber(_.getAttr(el, 'samplingrate')),
+    channels: _.toNumber(_.getAttr(el, 'channels')),
+    duration: _.toNumber(_.getAttr(el, 'duration')),
+    height: _.toNumber(_.getAttr(el, 'height')),
+    width: _.toNumber(_.getAttr(el, 'width')),
+    lang: _.getAttr(el, 'lang')
+  };
+  return _.assign(result, inherited, elements(el));
+}
+
+/*
+ * Pick just the optional elements from a Media RSS object
+ * @private
+ */
+function pick (obj) {
+  var result = {};
+  OPTIONAL_ELEMENTS.forEach(function (name) {
+    if (obj && name in obj) result[name] = obj[name];
+  });
+  return result;
+}
+
+exports = module.exports = media;
@@ -2,6 +2,8 @@
  * Default namespaces
  *
  * Lookup by URI
+ *
+ * Extensions (see lib/extensions.js) add their own namespaces to this table.
  */
 module.exports = {
   'http://www.w3.org/2005/Atom'                                    :'atom', // v1.0
@@ -20,11 +22,10 @@ module.exports = {
   'http://purl.oclc.org/net/rss_2.0/enc#'                          :'enc',
   'http://rssnamespace.org/feedburner/ext/1.0'                     :'feedburner',
   'http://www.bradsoft.com/feeddemon/xmlns/1.0/'                   :'fd', // FeedDemon
-  'http://www.itunes.com/dtds/podcast-1.0.dtd'                     :'itunes',
+  'http://purl.org/syndication/history/1.0'                        :'fh', // Feed Paging and Archiving (RFC 5005)
   'http://www.w3.org/2003/01/geo/wgs84_pos#'                       :'geo',
   'http://www.georss.org/georss'                                   :'georss',
-  'http://search.yahoo.com/mrss/'                                  :'media',
-  'http://search.yahoo.com/mrss'                                   :'media', // commonly-used but wrong
+  'http://www.opengis.net/gml'                                     :'gml',
   'http://newsgator.com/schema/extensions'                         :'ng', // NewsGator
   'http://opml.org/spec2'                                          :'opml', // OPML 2.0
   'http://www.pheedo.com/namespace/pheedo'                         :'pheedo',
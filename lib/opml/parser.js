@@ -0,0 +1,234 @@
+/**********************************************************************
+ node-feedparser - A robust RSS, Atom, RDF parser for node.
+ http://github.com/danmactough/node-feedparser
+ Copyright (c) 2011-2016 Dan MacTough and contributors
+ http://mact.me
+
+**********************************************************************/
+
+/**
+ * Module dependencies.
+ */
+var sax = require('sax')
+  , util = require('util')
+  , TransformStream = require('readable-stream').Transform
+  , encodings = require('../encoding')
+  , dates = require('../dates')
+  , _ = require('../utils');
+
+/*
+ * The attributes of an outline, by their lowercased names
+ */
+var OUTLINE_ATTRIBUTES = {
+  'text': 'text',
+  'title': 'title',
+  'type': 'type',
+  'xmlurl': 'xmlUrl',
+  'htmlurl': 'htmlUrl',
+  'url': 'url',
+  'description': 'description',
+  'language': 'language',
+  'version': 'version'
+};
+
+/*
+ * The elements of the head, by their lowercased names
+ */
+var HEAD_ELEMENTS = {
+  'title': 'title',
+  'datecreated': 'dateCreated',
+  'datemodified': 'dateModified',
+  'ownername': 'ownerName',
+  'owneremail': 'ownerEmail',
+  'ownerid': 'ownerId',
+  'docs': 'docs'
+};
+
+/**
+ * OpmlParser constructor.
+ *
+ * Exposes a duplex (transform) stream to parse an OPML subscription list.
+ *
+ * Emits `head` with the document's head, then each readable chunk is a
+ * subscription, i.e., an outline with an xmlUrl, with the following keys:
+ *   - title {String} the title, or else the text, of the outline
+ *   - text {String}
+ *   - type {String} usually 'rss'
+ *   - xmlUrl {String}
+ *   - htmlUrl {String}
+ *   - description {String}
+ *   - language {String}
+ *   - version {String}
+ *   - folders {Array} of the titles of the enclosing outlines, outermost first
+ *   - categories {Array} of the slash-delimited paths in the category attribute
+ *   - @ {Object} all of the outline's attributes, by their lowercased names
+ *
+ * Options:
+ *   - strict {Boolean} whether to use the sax parser's strict mode
+ *   - charset {String} the character encoding of the document
+ *
+ * @param {Object} options
+ * @api public
+ */
+function OpmlParser (options) {
+  if (!(this instanceof OpmlParser)) return new OpmlParser(options);
+  TransformStream.call(this);
+  this._readableState.objectMode = true;
+
+  this.options = _.assign({}, options);
+  if (!('strict' in this.options)) this.options.strict = false;
+
+  this.head = {};
+  this.is_opml = false;
+  this._emitted_head = false;
+  this.stack = [];
+  this.folders = [];
+  this.bytes = []; // Raw bytes buffered until we know how to decode them
+  this.decoder = null;
+
+  this.stream = sax.createStream(this.options.strict, { lowercase: true, trim: false });
+  this.stream.on('error', this.handleSaxError.bind(this));
+  this.stream.on('opentag', this.handleOpenTag.bind(this));
+  this.stream.on('closetag', this.handleCloseTag.bind(this));
+  this.stream.on('text', this.handleText.bind(this));
+  this.stream.on('cdata', this.handleText.bind(this));
+  this.stream.on('end', this.handleEnd.bind(this));
+}
+util.inherits(OpmlParser, TransformStream);
+
+OpmlParser.prototype.handleSaxError = function (e) {
+  this.emit('error', e);
+  if (this.stream._parser) {
+    this.stream._parser.error = null;
+    this.stream._parser.resume();
+  }
+};
+
+OpmlParser.prototype.handleEnd = function () {
+  if (!this.is_opml) {
+    return this.emit('error', new Error('Not an OPML document'));
+  }
+  this.emitHead();
+  this.push(null);
+};
+
+OpmlParser.prototype.emitHead = function () {
+  if (this._emitted_head) return;
+  this._emitted_head = true;
+  this.emit('head', this.head);
+};
+
+OpmlParser.prototype.handleOpenTag = function (node) {
+  var parent = this.stack[0];
+  // In strict mode, sax keeps the original case
+  node = {
+    name: node.name.toLowerCase(),
+    attributes: Object.keys(node.attributes).reduce(function (attributes, name) {
+      attributes[name.toLowerCase()] = node.attributes[name];
+      return attributes;
+    }, {})
+  };
+  this.stack.unshift({ name: node.name, text: '' });
+
+  if (!parent) {
+    this.is_opml = node.name === 'opml';
+    if (this.is_opml) this.head['#version'] = node.attributes.version || null;
+    return;
+  }
+  if (!this.is_opml) return;
+
+  if (node.name === 'body') {
+    this.emitHead();
+  } else if (node.name === 'outline') {
+    var outline = this.handleOutline(node.attributes);
+    this.stack[0].outline = outline;
+    if (outline.xmlUrl) {
+      this.emitHead();
+      this.push(outline);
+    }
+    this.folders.push(outline.title);
+  }
+};
+
+OpmlParser.prototype.handleCloseTag = function (name) {
+  name = name.toLowerCase();
+  var el = this.stack.shift()
+    , parent = this.stack[0]
+    , value
+    ;
+  if (!el || !this.is_opml) return;
+
+  if (el.outline) {
+    this.folders.pop();
+  } else if (parent && parent.name === 'head' && name in HEAD_ELEMENTS && (value = el.text.trim())) {
+    this.head[HEAD_ELEMENTS[name]] = /^date/.test(name) ? dates.parse(value) : value;
+  } else if (name === 'head') {
+    this.emitHead();
+  }
+};
+
+OpmlParser.prototype.handleText = function (text) {
+  if (this.stack.length) this.stack[0].text += text;
+};
+
+OpmlParser.prototype.handleOutline = function (attrs) {
+  var outline = {};
+  Object.keys(OUTLINE_ATTRIBUTES).forEach(function (name) {
+    outline[OUTLINE_ATTRIBUTES[name]] = _.safeTrim(attrs[name]) || null;
+  });
+  outline.title = outline.title || outline.text;
+  outline.folders = this.folders.filter(Boolean);
+  outline.categories = (attrs['category'] || '').split(',').map(function (category) {
+    return category.trim();
+  }).filter(Boolean);
+  outline['@'] = _.assign({}, attrs);
+  return outline;
+};
+
+OpmlParser.prototype.handleDecodedText = function (text) {
+  if (text) this.stream.write(text);
+};
+
+// Naive Stream API
+OpmlParser.prototype._transform = function (data, encoding, done) {
+  if (!this.decoder) {
+    this.bytes.push(data);
+    data = Buffer.concat(this.bytes);
+    if (!this.handleEncoding(data, false)) return done();
+    this.bytes = [];
+  }
+  try {
+    this.handleDecodedText(this.decoder.write(data));
+    done();
+  }
+  catch (e) {
+    done(e);
+    this.push(null);
+  }
+};
+
+OpmlParser.prototype._flush = function (done) {
+  try {
+    if (!this.decoder) {
+      this.handleEncoding(Buffer.concat(this.bytes), true);
+      this.handleDecodedText(this.decoder.write(Buffer.concat(this.bytes)));
+      this.bytes = [];
+    }
+    this.handleDecodedText(this.decoder.end());
+    this.stream.end();
+    done();
+  }
+  catch (e) {
+    done(e);
+  }
+};
+
+OpmlParser.prototype.handleEncoding = function (head, final) {
+  var detected = encodings.detect(head, this.options.charset, final);
+  if (!detected) return false;
+  this.head['#encoding'] = detected;
+  this.decoder = encodings.decoder(detected);
+  return true;
+};
+
+exports = module.exports = OpmlParser;
@@ -0,0 +1,146 @@
+/**********************************************************************
+ node-feedparser - A robust RSS, Atom, RDF parser for node.
+ http://github.com/danmactough/node-feedparser
+ Copyright (c) 2011-2016 Dan MacTough and contributors
+ http://mact.me
+
+**********************************************************************/
+
+/**
+ * Module dependencies.
+ */
+var util = require('util')
+  , TransformStream = require('readable-stream').Transform
+  , escape = require('../writer').escape
+  , _ = require('../utils');
+
+/**
+ * OpmlWriter constructor.
+ *
+ * Exposes a duplex (transform) stream to serialize an OPML subscription list.
+ *
+ * Javascript objects in -> XML out. Each written chunk is either a feed `meta`
+ * in the shape emitted by FeedParser or a subscription in the shape emitted
+ * by OpmlParser. Subscriptions with `folders` are nested in outlines for
+ * those folders, so consecutive subscriptions in the same folder share them.
+ * Anything without an xml url is skipped.
+ *
+ * Options:
+ *   - title {String} the title of the subscription list
+ *   - dateCreated {Date}
+ *   - ownerName {String}
+ *   - ownerEmail {String}
+ *
+ * @param {Object} options
+ * @api public
+ */
+function OpmlWriter (options) {
+  if (!(this instanceof OpmlWriter)) return new OpmlWriter(options);
+  TransformStream.call(this);
+  this._writableState.objectMode = true;
+
+  this.options = _.assign({}, options);
+  this.folders = [];
+  this._wrote_head = false;
+}
+util.inherits(OpmlWriter, TransformStream);
+
+OpmlWriter.prototype.writeHead = function () {
+  if (this._wrote_head) return;
+  this._wrote_head = true;
+
+  var options = this.options
+    , out = '<?xml version="1.0" encoding="utf-8"?>\n<opml version="2.0">\n<head>\n';
+  if (options.title) out += '<title>' + escape(options.title) + '</title>\n';
+  if (options.dateCreated) out += '<dateCreated>' + escape(new Date(options.dateCreated).toUTCString()) + '</dateCreated>\n';
+  if (options.ownerName) out += '<ownerName>' + escape(options.ownerName) + '</ownerName>\n';
+  if (options.ownerEmail) out += '<ownerEmail>' + escape(options.ownerEmail) + '</ownerEmail>\n';
+  this.push(out + '</head>\n<body>\n');
+};
+
+/*
+ * Close and open folder outlines so that we are in the given folders
+ */
+OpmlWriter.prototype.writeFolders = function (folders) {
+  var common = 0
+    , out = ''
+    ;
+  while (common < this.folders.length && common < folders.length && this.folders[common] === folders[common]) {
+    common++;
+  }
+  while (this.folders.length > common) {
+    this.folders.pop();
+    out += indent(this.folders.length) + '</outline>\n';
+  }
+  folders.slice(common).forEach(function (folder) {
+    out += indent(this.folders.length) + '<outline text="' + escape(folder) + '">\n';
+    this.folders.push(folder);
+  }, this);
+  if (out) this.push(out);
+};
+
+OpmlWriter.prototype._transform = function (feed, encoding, done) {
+  var xmlUrl = feed.xmlurl || feed.xmlUrl
+    , title = feed.title || feed.text || xmlUrl
+    , attrs
+    , out
+    ;
+
+  this.writeHead();
+  if (!xmlUrl) return done();
+  this.writeFolders(Array.isArray(feed.folders) ? feed.folders : []);
+
+  attrs = {
+    type: 'rss',
+    text: title,
+    title: title,
+    xmlUrl: xmlUrl,
+    htmlUrl: feed.link || feed.htmlUrl,
+    description: feed.description,
+    language: feed.language
+  };
+  out = indent(this.folders.length) + '<outline';
+  Object.keys(attrs).forEach(function (name) {
+    if (attrs[name]) out += ' ' + name + '="' + escape(attrs[name]) + '"';
+  });
+  this.push(out + '/>\n');
+  done();
+};
+
+OpmlWriter.prototype._flush = function (done) {
+  this.writeHead();
+  this.writeFolders([]);
+  this.push('</body>\n</opml>\n');
+  done();
+};
+
+/**
+ * Serialize an array of feed metas (or subscriptions) to a String
+ *
+ * @param {Array} feeds
+ * @param {Object} [options] as for the OpmlWriter constructor
+ * @return {String}
+ * @api public
+ */
+function serialize (feeds, options) {
+  var writer = new OpmlWriter(options)
+    , out = '';
+  writer.on('data', function (chunk) {
+    out += chunk;
+  });
+  (feeds || []).forEach(function (feed) {
+    writer.write(feed);
+  });
+  writer.end();
+  return out;
+}
+OpmlWriter.serialize = serialize;
+
+/*
+ * @private
+ */
+function indent (depth) {
+  return new Array(depth + 2).join('  ');
+}
+
+exports = module.exports = OpmlWriter;
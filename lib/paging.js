@@ -0,0 +1,152 @@
+var Readable = require('readable-stream').Readable
+  , feedparser = require('./feedparser/constructor')
+  , _ = require('./utils');
+
+/*
+ * The link relations of RFC 5005, by the property we keep them in
+ */
+var RELATIONS = {
+  first: ['first'],
+  last: ['last'],
+  previous: ['previous', 'prev'],
+  next: ['next'],
+  current: ['current'],
+  prevArchive: ['prev-archive'],
+  nextArchive: ['next-archive']
+};
+
+var IANA = 'http://www.iana.org/assignments/relation/';
+
+/*
+ * Build the Feed Paging and Archiving (RFC 5005) properties of a feed node
+ *
+ *   - first, last, previous, next {String} the pages of a paged feed
+ *   - current, prevArchive, nextArchive {String} the subscription document
+ *     and the archive documents of an archived feed
+ *   - complete {Boolean} whether the document is the whole feed (fh:complete)
+ *   - archive {Boolean} whether the document is an archive (fh:archive)
+ *
+ * Each link is null if the feed doesn't have it.
+ *
+ * @param {Object} node
+ * @param {String} [baseurl] to resolve relative links against
+ * @return {Object}
+ * @private
+ */
+function paging (node, baseurl) {
+  var links = _.asArray(node['link']).concat(_.asArray(node['atom:link']), _.asArray(node['atom10:link']))
+    , result = {}
+    ;
+  Object.keys(RELATIONS).forEach(function (property) {
+    result[property] = null;
+  });
+  links.forEach(function (el) {
+    var rel = (_.getAttr(el, 'rel') || '').replace(IANA, '').toLowerCase()
+      , href = _.safeTrim(_.getAttr(el, 'href'));
+    if (!href) return;
+    Object.keys(RELATIONS).forEach(function (property) {
+      if (~RELATIONS[property].indexOf(rel) && !result[property]) result[property] = baseurl ? _.resolve(baseurl, href) : href;
+    });
+  });
+  result.complete = 'fh:complete' in node;
+  result.archive = 'fh:archive' in node;
+  return result;
+}
+
+/**
+ * Walk a paged or archived feed, from document to document
+ *
+ * Starting at the url, follows each document's prev-archive link or, failing
+ * that, its next link, until there are no more documents, or the document is
+ * complete. Returns a stream of the items in all of them, without any item
+ * whose id was already seen (the first one, i.e., the one in the most recent
+ * archive document, wins). It also emits:
+ *   - meta (meta, url) for each document
+ *
+ * In addition to the FeedParser options, the options may include:
+ *   - load {Function} called with a url and a callback, which it calls with an
+ *     error or the document: a String, a Buffer, a readable stream or a
+ *     FeedParser (default: FeedParser.fetch)
+ *   - maxPages {Number} of documents to load (default: no limit)
+ *
+ * @param {String} url
+ * @param {Object} [options]
+ * @return {Readable}
+ * @api public
+ */
+function walk (url, options) {
+  options = _.assign({}, options);
+
+  var load = options.load || fetch
+    , stream = new Readable({ objectMode: true, highWaterMark: 16 })
+    , maxPages = 'maxPages' in options ? options.maxPages : Infinity
+    , visited = {}
+    , seen = {}
+    , pages = 0
+    , started = false
+    , finished = false
+    ;
+  delete options.load;
+  delete options.maxPages;
+
+  function parserOptions (url) {
+    return _.assign({ feedurl: url }, options);
+  }
+
+  function fetch (url, callback) {
+    callback(null, feedparser.FeedParser.fetch(url, parserOptions(url)));
+  }
+
+  function finish (err) {
+    if (finished) return;
+    finished = true;
+    if (err) stream.emit('error', err);
+    stream.push(null);
+  }
+
+  function next (url) {
+    if (!url || visited[url] || pages >= maxPages) return finish();
+    visited[url] = true;
+    pages++;
+    load(url, function (err, doc) {
+      if (err) return finish(err);
+      var parser = doc;
+      if (!(doc instanceof feedparser.FeedParser)) parser = new feedparser.FeedParser(parserOptions(url));
+      parser.on('error', finish)
+      .on('meta', function (meta) {
+        stream.emit('meta', meta, url);
+      })
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          if (item.id && seen[item.id]) continue;
+          if (item.id) seen[item.id] = true;
+          stream.push(item);
+        }
+      })
+      .on('end', function () {
+        var links = (parser.meta && parser.meta.paging) || {};
+        if (finished) return;
+        if (links.complete) return finish();
+        next(resolve(url, links.prevArchive || links.next));
+      });
+      if (parser === doc) return;
+      if (doc && typeof doc.pipe === 'function') doc.pipe(parser);
+      else parser.end(doc);
+    });
+  }
+
+  stream._read = function () {
+    if (started) return;
+    started = true;
+    next(url);
+  };
+  return stream;
+}
+
+function resolve (base, link) {
+  return link ? _.resolve(base, link) : null;
+}
+
+exports = module.exports = paging;
+exports.walk = walk;
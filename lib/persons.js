@@ -0,0 +1,99 @@
+var addressparser = require('addressparser')
+  , _ = require('./utils');
+
+/*
+ * The elements holding a channel's or item's authors and contributors
+ */
+var AUTHOR_ELEMENTS = ['author', 'atom:author', 'dc:creator']
+  , CONTRIBUTOR_ELEMENTS = ['contributor', 'atom:contributor', 'dc:contributor'];
+
+/*
+ * Build a list of { name, email, uri } objects from the person elements
+ * of a channel or item node
+ *
+ * Atom person constructs provide all three; RSS authors are parsed as email
+ * addresses, e.g., "jane@example.com (Jane Doe)"; Dublin Core creators and
+ * contributors are just names.
+ *
+ * @param {Object} node
+ * @param {String} which either 'authors' or 'contributors'
+ * @return {Array}
+ * @private
+ */
+function persons (node, which) {
+  var list = [];
+  (which === 'contributors' ? CONTRIBUTOR_ELEMENTS : AUTHOR_ELEMENTS).forEach(function (name) {
+    _.asArray(node[name]).forEach(function (el) {
+      list = list.concat(name.indexOf('dc:') === 0 ? nameOnly(el) : person(el));
+    });
+  });
+  if (which !== 'contributors') {
+    list = list.concat(address(node['managingeditor']));
+    if (!list.length) list = list.concat(nameOnly(node['itunes:author']));
+  }
+  return unique(list);
+}
+
+/*
+ * Parse an Atom person construct or an RSS author element
+ * @private
+ */
+function person (el) {
+  var text = _.getText(el);
+  if (text) return address(el);
+  if (!el || typeof el !== 'object') return [];
+  var result = {
+    name: _.getText(el['name'] || el['atom:name']),
+    email: _.getText(el['email'] || el['atom:email']),
+    uri: _.getText(el['uri'] || el['atom:uri'])
+  };
+  return (result.name || result.email || result.uri) ? [result] : [];
+}
+
+/*
+ * Parse an element whose text is one or more email addresses, or just a name
+ * @private
+ */
+function address (el) {
+  var text = _.getText(el)
+    , parsed
+    ;
+  if (!text) return [];
+  parsed = addressparser(text);
+  // "Smith, John" is a name, not two addresses
+  if (parsed.length !== 1 && !parsed.every(function (p) { return p.address && ~p.address.indexOf('@'); })) {
+    return [{ name: text, email: null, uri: null }];
+  }
+  return parsed.map(function (p) {
+    var isEmail = p.address && ~p.address.indexOf('@');
+    return {
+      name: p.name || (!isEmail && p.address) || null,
+      email: isEmail ? p.address : null,
+      uri: null
+    };
+  }).filter(function (p) { return p.name || p.email; });
+}
+
+/*
+ * @private
+ */
+function nameOnly (el) {
+  return _.asArray(el).map(function (el) {
+    return { name: _.getText(el), email: null, uri: null };
+  }).filter(function (p) { return p.name; });
+}
+
+/*
+ * @private
+ */
+function unique (list) {
+  var seen = {};
+  return list.filter(function (p) {
+    var key = [p.name, p.email, p.uri].join('\n');
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+exports = module.exports = persons;
@@ -0,0 +1,124 @@
+var _ = require('./utils');
+
+/*
+ * Build a normalized Podcasting 2.0 object from a channel or item node
+ *
+ * See https://podcastindex.org/namespace/1.0
+ *
+ * Only the elements found in the node are included.
+ *
+ * @param {Object} node
+ * @return {Object} or null if the node has no podcast namespace elements
+ * @private
+ */
+function podcast (node) {
+  var result = {}
+    , el
+    ;
+
+  if ((el = _.first(node['podcast:guid'])) && _.getText(el)) {
+    result.guid = _.getText(el);
+  }
+  if ((el = _.first(node['podcast:locked'])) && _.getText(el)) {
+    result.locked = {
+      value: /^yes$/i.test(_.getText(el)),
+      owner: _.getAttr(el, 'owner')
+    };
+  }
+  if (node['podcast:funding']) {
+    result.funding = _.asArray(node['podcast:funding']).map(function (el) {
+      return {
+        url: _.getAttr(el, 'url'),
+        message: _.getText(el)
+      };
+    }).filter(function (funding) { return funding.url; });
+  }
+  if (node['podcast:person']) {
+    result.persons = _.asArray(node['podcast:person']).map(function (el) {
+      return {
+        name: _.getText(el),
+        role: (_.getAttr(el, 'role') || 'host').toLowerCase(),
+        group: (_.getAttr(el, 'group') || 'cast').toLowerCase(),
+        img: _.getAttr(el, 'img'),
+        href: _.getAttr(el, 'href')
+      };
+    }).filter(function (person) { return person.name; });
+  }
+  if ((el = _.first(node['podcast:location'])) && _.getText(el)) {
+    result.location = {
+      name: _.getText(el),
+      geo: _.getAttr(el, 'geo'),
+      osm: _.getAttr(el, 'osm')
+    };
+  }
+  if (node['podcast:transcript']) {
+    result.transcripts = _.asArray(node['podcast:transcript']).map(function (el) {
+      return {
+        url: _.getAttr(el, 'url'),
+        type: _.getAttr(el, 'type'),
+        language: _.getAttr(el, 'language'),
+        rel: _.getAttr(el, 'rel')
+      };
+    }).filter(function (transcript) { return transcript.url; });
+  }
+  if ((el = _.first(node['podcast:chapters'])) && _.getAttr(el, 'url')) {
+    result.chapters = {
+      url: _.getAttr(el, 'url'),
+      type: _.getAttr(el, 'type')
+    };
+  }
+  if (node['podcast:soundbite']) {
+    result.soundbites = _.asArray(node['podcast:soundbite']).map(function (el) {
+      return {
+        startTime: _.toNumber(_.getAttr(el, 'starttime')),
+        duration: _.toNumber(_.getAttr(el, 'duration')),
+        title: _.getText(el)
+      };
+    }).filter(function (soundbite) { return soundbite.startTime !== null && soundbite.duration !== null; });
+  }
+  if ((el = _.first(node['podcast:value']))) {
+    result.value = {
+      type: _.getAttr(el, 'type'),
+      method: _.getAttr(el, 'method'),
+      suggested: _.toNumber(_.getAttr(el, 'suggested')),
+      recipients: _.asArray(el['podcast:valuerecipient']).map(function (recipient) {
+        return {
+          name: _.getAttr(recipient, 'name'),
+          type: _.getAttr(recipient, 'type'),
+          address: _.getAttr(recipient, 'address'),
+          split: _.toNumber(_.getAttr(recipient, 'split')),
+          customKey: _.getAttr(recipient, 'customkey'),
+          customValue: _.getAttr(recipient, 'customvalue'),
+          fee: _.getAttr(recipient, 'fee') === 'true'
+        };
+      })
+    };
+  }
+  if (node['podcast:alternateenclosure']) {
+    result.alternateEnclosures = _.asArray(node['podcast:alternateenclosure']).map(function (el) {
+      var integrity = _.first(el['podcast:integrity']);
+      return {
+        type: _.getAttr(el, 'type'),
+        length: _.toInteger(_.getAttr(el, 'length')),
+        bitrate: _.toNumber(_.getAttr(el, 'bitrate')),
+        height: _.toInteger(_.getAttr(el, 'height')),
+        lang: _.getAttr(el, 'lang'),
+        title: _.getAttr(el, 'title'),
+        rel: _.getAttr(el, 'rel'),
+        codecs: _.getAttr(el, 'codecs'),
+        default: _.getAttr(el, 'default') === 'true',
+        sources: _.asArray(el['podcast:source']).map(function (source) {
+          return {
+            uri: _.getAttr(source, 'uri'),
+            contentType: _.getAttr(source, 'contenttype')
+          };
+        }).filter(function (source) { return source.uri; }),
+        integrity: integrity ? { type: _.getAttr(integrity, 'type'), value: _.getAttr(integrity, 'value') } : null
+      };
+    });
+  }
+
+  return Object.keys(result).length ? result : null;
+}
+
+exports = module.exports = podcast;
@@ -0,0 +1,127 @@
+/*global Promise*/
+var feedparser = require('./feedparser/constructor');
+
+/*
+ * Parse a whole feed
+ *
+ * @param {Buffer|String} input
+ * @param {Object} options
+ * @return {Promise} of { meta, items, warnings, state }
+ * @private
+ */
+function parse (input, options) {
+  return new Promise(function (resolve, reject) {
+    var parser = new feedparser.FeedParser(options)
+      , items = [];
+    parser.on('error', reject)
+    .on('readable', function () {
+      var item;
+      while (item = this.read()) {
+        items.push(item);
+      }
+    })
+    .on('end', function () {
+      resolve({ meta: parser.meta, items: items, warnings: parser.warnings, state: parser.state });
+    });
+    parser.end(input);
+  });
+}
+
+/**
+ * Parse a feed in a String
+ *
+ * The String has already been decoded, so any encoding the feed declares
+ * is ignored.
+ *
+ * @param {String} str
+ * @param {Object} [options] as for the FeedParser constructor
+ * @return {Promise} of { meta, items, warnings, state }
+ * @api public
+ */
+function parseString (str, options) {
+  return parse(String(str), options);
+}
+exports.parseString = parseString;
+
+/**
+ * Parse a feed in a Buffer
+ *
+ * @param {Buffer} buf
+ * @param {Object} [options] as for the FeedParser constructor
+ * @return {Promise} of { meta, items, warnings, state }
+ * @api public
+ */
+function parseBuffer (buf, options) {
+  return parse(buf, options);
+}
+exports.parseBuffer = parseBuffer;
+
+/*
+ * Make an async iterator of a parser's items, for `for await ... of`
+ *
+ * Buffered items are yielded before any fatal error rejects.
+ *
+ * @param {FeedParser} parser
+ * @return {Object} with next() and return()
+ * @private
+ */
+function iterate (parser) {
+  var error = null
+    , ended = false
+    , waiting = null
+    , iterator
+    ;
+
+  function wake () {
+    var resume = waiting;
+    waiting = null;
+    if (resume) resume();
+  }
+  function onError (err) {
+    error = err;
+    wake();
+  }
+  function onEnd () {
+    ended = true;
+    wake();
+  }
+  function cleanup () {
+    parser.removeListener('readable', wake);
+    parser.removeListener('error', onError);
+    parser.removeListener('end', onEnd);
+  }
+
+  parser.on('readable', wake);
+  parser.on('error', onError);
+  parser.on('end', onEnd);
+
+  iterator = {
+    next: function () {
+      return new Promise(function (resolve, reject) {
+        (function attempt () {
+          var item = ended ? null : parser.read();
+          if (item !== null) return resolve({ value: item, done: false });
+          if (error) {
+            cleanup();
+            return reject(error);
+          }
+          if (ended) {
+            cleanup();
+            return resolve({ value: undefined, done: true });
+          }
+          waiting = attempt;
+        })();
+      });
+    },
+    return: function () {
+      // Stop early, e.g., after a break; let the rest of the feed drain
+      cleanup();
+      ended = true;
+      parser.on('error', function () {});
+      parser.resume();
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+  return iterator;
+}
+exports.iterate = iterate;
@@ -0,0 +1,404 @@
+var http = require('http')
+  , URL = require('url')
+  , querystring = require('querystring')
+  , util = require('util')
+  , EventEmitter = require('events').EventEmitter
+  , sax = require('sax')
+  , post = require('./fetch').post
+  , _ = require('./utils');
+
+var PROTOCOLS = ['http-post', 'xml-rpc'];
+
+// Registrations lapse after 25 hours, so renew them a little sooner
+var INTERVAL = 24 * 60 * 60 * 1000;
+var MAX_INTERVAL = 25 * 60 * 60 * 1000;
+
+// How long to wait before retrying a failed renewal, doubling each time
+var RETRY_DELAY = 60 * 1000;
+
+// The default limit on the size of a notification, which is tiny
+var MAX_BODY_SIZE = 64 * 1024;
+
+/**
+ * RssCloudSubscriber constructor.
+ *
+ * Registers with the rssCloud servers of feeds to be notified when they change,
+ * and runs the HTTP server the cloud servers notify. Emits:
+ *   - listening once the server is listening
+ *   - register (url) each time a cloud server accepts a registration
+ *   - notify (url) when a cloud server says the feed at the url has changed
+ *   - warning (err) each time a registration can't be renewed, which we
+ *     retry; `err.url` is the feed's url
+ *   - expire (url, err) when a registration lapses because we couldn't renew
+ *     it
+ *
+ * Options:
+ *   - port {Number} for the server (default: any free port)
+ *   - host {String} for the server
+ *   - path {String} of the server's notification endpoint (default: '/')
+ *   - domain {String} at which the cloud servers can reach the server; by
+ *     default, they use the address the registration came from
+ *   - notifyProcedure {String} the name of the procedure the cloud servers
+ *     call to notify us over XML-RPC (default: 'rssCloud.notify')
+ *   - interval {Number} milliseconds between registrations (default: 24
+ *     hours, and no more than 25)
+ *   - retryDelay {Number} milliseconds before retrying a failed renewal,
+ *     doubled after each try, until the registration lapses (default: 1
+ *     minute)
+ *   - maxBodySize {Number} of a notification, in bytes, above which we refuse
+ *     it with a 413 (default: 64K)
+ *
+ * @param {Object} options
+ * @api public
+ */
+function RssCloudSubscriber (options) {
+  if (!(this instanceof RssCloudSubscriber)) return new RssCloudSubscriber(options);
+  EventEmitter.call(this);
+  this.options = _.assign({ path: '/', notifyProcedure: 'rssCloud.notify', interval: INTERVAL, retryDelay: RETRY_DELAY, maxBodySize: MAX_BODY_SIZE }, options);
+  this.options.interval = Math.min(this.options.interval, MAX_INTERVAL);
+  this.feeds = {}; // By url
+  this.server = http.createServer(this.handle.bind(this));
+}
+util.inherits(RssCloudSubscriber, EventEmitter);
+
+/**
+ * Start the notification server
+ *
+ * @param {Function} [callback]
+ * @api public
+ */
+RssCloudSubscriber.prototype.listen = function (callback) {
+  this.server.listen(this.options.port || 0, this.options.host, function () {
+    this.port = this.server.address().port;
+    this.emit('listening');
+    if (callback) callback();
+  }.bind(this));
+  return this;
+};
+
+/**
+ * Stop the notification server and any renewals
+ *
+ * @param {Function} [callback]
+ * @api public
+ */
+RssCloudSubscriber.prototype.close = function (callback) {
+  Object.keys(this.feeds).forEach(function (url) {
+    clearTimeout(this.feeds[url].timer);
+  }, this);
+  this.feeds = {};
+  this.server.close(callback);
+};
+
+/*
+ * Find the cloud and url of a feed
+ *
+ * @param {Object} feed a parsed meta, or { cloud, url }
+ * @return {Object} { cloud, url } or an Error
+ * @private
+ */
+function target (feed) {
+  var cloud = feed && feed.cloud
+    , url = feed && (feed.url || feed.xmlurl)
+    , protocol
+    ;
+  if (!cloud || cloud.type !== 'rsscloud' || !cloud.domain) return new Error('The feed has no rssCloud');
+  if (!url) return new Error('The feed has no url');
+  protocol = (cloud.protocol || '').toLowerCase();
+  if (!~PROTOCOLS.indexOf(protocol)) return new Error('Unsupported rssCloud protocol: ' + cloud.protocol);
+  return { cloud: cloud, url: url, protocol: protocol };
+}
+
+/**
+ * Ask a feed's cloud server to notify us when the feed changes
+ *
+ * Keeps asking, before each registration lapses, until the feed is
+ * unregistered or the subscriber is closed.
+ *
+ * @param {Object} feed a parsed meta, or { cloud, url }
+ * @param {Function} [callback] called when the cloud server accepts the
+ *   registration, or with an error
+ * @api public
+ */
+RssCloudSubscriber.prototype.register = function (feed, callback) {
+  var to = target(feed)
+    , registration
+    , self = this
+    ;
+  callback = callback || function (err) {
+    if (err) self.emit('error', err);
+  };
+  if (to instanceof Error) return callback(to);
+  if (!this.port) return callback(new Error('Not listening'));
+
+  registration = this.feeds[to.url] = this.feeds[to.url] || { url: to.url };
+  registration.cloud = to.cloud;
+  registration.protocol = to.protocol;
+  clearTimeout(registration.timer);
+
+  this.request(registration, function (err) {
+    if (err) {
+      if (self.feeds[to.url] === registration) delete self.feeds[to.url];
+      err.url = to.url;
+      return callback(err);
+    }
+    if (self.feeds[to.url] !== registration) return callback(null); // Unregistered meanwhile
+    self.registered(registration);
+    callback(null);
+  });
+};
+
+/*
+ * Schedule the renewal of an accepted registration
+ */
+RssCloudSubscriber.prototype.registered = function (registration) {
+  registration.expires = Date.now() + MAX_INTERVAL;
+  this.scheduleRenewal(registration, this.options.interval, this.options.retryDelay);
+  this.emit('register', registration.url);
+};
+
+/*
+ * Register again after a delay and, if that fails, retry with backoff until
+ * the registration lapses
+ */
+RssCloudSubscriber.prototype.scheduleRenewal = function (registration, delay, retryDelay) {
+  var self = this;
+  clearTimeout(registration.timer);
+  registration.timer = setTimeout(function () {
+    self.request(registration, function (err) {
+      if (self.feeds[registration.url] !== registration) return; // Unregistered meanwhile
+      if (!err) return self.registered(registration);
+      err.url = registration.url;
+      if (Date.now() + retryDelay < registration.expires) {
+        self.emit('warning', err);
+        return self.scheduleRenewal(registration, retryDelay, retryDelay * 2);
+      }
+      delete self.feeds[registration.url];
+      self.emit('expire', registration.url, err);
+    });
+  }, delay);
+  if (registration.timer.unref) registration.timer.unref();
+};
+
+/**
+ * Stop renewing a feed's registration, and ignore its notifications
+ *
+ * rssCloud has no way to cancel a registration, so it lapses.
+ *
+ * @param {Object|String} feed a parsed meta, { url }, or the url
+ * @api public
+ */
+RssCloudSubscriber.prototype.unregister = function (feed) {
+  var url = typeof feed === 'string' ? feed : feed && (feed.url || feed.xmlurl);
+  if (this.feeds[url]) {
+    clearTimeout(this.feeds[url].timer);
+    delete this.feeds[url];
+  }
+};
+
+/*
+ * Send a registration to the cloud server
+ */
+RssCloudSubscriber.prototype.request = function (registration, callback) {
+  var cloud = registration.cloud
+    , port = _.toInteger(cloud.port) || 80
+    , endpoint = 'http://' + cloud.domain + (port === 80 ? '' : ':' + port) + (/^\//.test(cloud.path) ? '' : '/') + (cloud.path || '')
+    , params
+    , body
+    ;
+
+  if (registration.protocol === 'xml-rpc') {
+    body = methodCall(cloud.registerprocedure || cloud.registerProcedure, [
+      this.options.notifyProcedure,
+      this.port,
+      this.options.path,
+      'xml-rpc',
+      [registration.url]
+    ]);
+    return post(endpoint, body, 'text/xml', function (err, res, text) {
+      if (err) return callback(err);
+      var response = parse(text)
+        , fault = find(response, 'fault')
+        , result = find(response, 'boolean')
+        ;
+      if (fault) return callback(new Error('The rssCloud server refused to register: ' + (strings(fault).join(' ') || 'fault')));
+      if (res.statusCode !== 200 || !result || _.safeTrim(result.text) !== '1') {
+        return callback(new Error('The rssCloud server refused to register: ' + res.statusCode));
+      }
+      callback(null);
+    });
+  }
+
+  params = {
+    notifyProcedure: '',
+    port: String(this.port),
+    path: this.options.path,
+    protocol: 'http-post',
+    url1: registration.url
+  };
+  if (this.options.domain) params.domain = this.options.domain;
+  body = querystring.stringify(params);
+  post(endpoint, body, 'application/x-www-form-urlencoded', function (err, res, text) {
+    if (err) return callback(err);
+    var result = find(parse(text), 'notifyresult')
+      , attrs = result ? result.attributes : {};
+    if (res.statusCode !== 200 || !/^true$/i.test(attrs['success'])) {
+      return callback(new Error('The rssCloud server refused to register: ' + (attrs['msg'] || res.statusCode)));
+    }
+    callback(null);
+  });
+};
+
+/**
+ * Handle a request from a cloud server
+ *
+ * The server calls this, but you can also call it from your own server.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @api public
+ */
+RssCloudSubscriber.prototype.handle = function (req, res) {
+  var url = URL.parse(req.url, true)
+    , maxBodySize = this.options.maxBodySize
+    , chunks = []
+    , size = 0
+    , self = this
+    ;
+
+  function tooLarge () {
+    res.writeHead(413, { 'Connection': 'close' });
+    res.end();
+  }
+
+  if (url.pathname !== this.options.path) {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.method === 'GET') {
+    // The cloud server is checking that we asked for this
+    if (typeof url.query.challenge !== 'string' || !this.feeds[url.query.url]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.end(url.query.challenge);
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, { 'Allow': 'GET, POST' });
+    return res.end();
+  }
+
+  if (_.toInteger(req.headers['content-length']) > maxBodySize) return tooLarge();
+  req.on('data', function onData (chunk) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      chunks = null;
+      req.removeListener('data', onData);
+      req.pause();
+      return tooLarge();
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function () {
+    var body
+      , xml
+      , call
+      , feedUrl
+      ;
+    if (!chunks) return;
+    body = Buffer.concat(chunks).toString('utf8');
+    xml = /xml/i.test(req.headers['content-type']) || /^\s*</.test(body);
+    call = xml ? parse(body) : null;
+    feedUrl = xml ? strings(find(call, 'params') || {})[0] : querystring.parse(body).url;
+    if (!feedUrl || !self.feeds[feedUrl]) {
+      res.writeHead(404);
+      return res.end();
+    }
+    if (xml) {
+      res.writeHead(200, { 'Content-Type': 'text/xml' });
+      res.end('<?xml version="1.0"?>\n<methodResponse><params><param><value><boolean>1</boolean></value></param></params></methodResponse>');
+    } else {
+      res.writeHead(200);
+      res.end();
+    }
+    self.emit('notify', feedUrl);
+  });
+};
+
+/*
+ * Serialize an XML-RPC method call
+ *
+ * @param {String} name
+ * @param {Array} params of Strings, integers and Arrays of those
+ * @return {String}
+ * @private
+ */
+function methodCall (name, params) {
+  function value (param) {
+    if (Array.isArray(param)) return '<value><array><data>' + param.map(value).join('') + '</data></array></value>';
+    if (typeof param === 'number') return '<value><i4>' + param + '</i4></value>';
+    return '<value><string>' + _.escapeHtml(param) + '</string></value>';
+  }
+  return '<?xml version="1.0"?>\n<methodCall><methodName>' + _.escapeHtml(name) + '</methodName><params>' +
+    params.map(function (param) { return '<param>' + value(param) + '</param>'; }).join('') +
+    '</params></methodCall>';
+}
+
+/*
+ * Parse a small XML document into a tree of { name, attributes, text, children }
+ *
+ * @param {String} xml
+ * @return {Object} the root, or null
+ * @private
+ */
+function parse (xml) {
+  var parser = sax.parser(false, { lowercase: true, trim: true })
+    , stack = [{ children: [] }]
+    ;
+  parser.onerror = function () {
+    this.error = null;
+    this.resume();
+  };
+  parser.onopentag = function (node) {
+    var el = { name: node.name, attributes: node.attributes, text: '', children: [] };
+    stack[0].children.push(el);
+    stack.unshift(el);
+  };
+  parser.onclosetag = function () {
+    if (stack.length > 1) stack.shift();
+  };
+  parser.ontext = parser.oncdata = function (text) {
+    if (stack[0].text !== undefined) stack[0].text += text;
+  };
+  parser.write(xml || '').close();
+  return stack[stack.length - 1].children[0] || null;
+}
+
+/*
+ * Find the first element with a name, depth first
+ */
+function find (el, name) {
+  var found = null;
+  if (!el) return null;
+  if (el.name === name) return el;
+  el.children.some(function (child) {
+    return (found = find(child, name));
+  });
+  return found;
+}
+
+/*
+ * The String values of an XML-RPC element, in order
+ */
+function strings (el) {
+  var values = [];
+  (el.children || []).forEach(function (child) {
+    if (child.name === 'value' && !child.children.length) values.push(child.text);
+    else if (child.name === 'string') values.push(child.text);
+    else values.push.apply(values, strings(child));
+  });
+  return values;
+}
+
+exports = module.exports = RssCloudSubscriber;
@@ -0,0 +1,221 @@
+var _ = require('./utils');
+
+/*
+ * The tags, attributes and URL schemes allowed by default: safe formatting,
+ * links, images and tables
+ */
+var DEFAULTS = {
+  tags: [
+    'a', 'abbr', 'acronym', 'address', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption', 'center',
+    'cite', 'code', 'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption',
+    'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p',
+    'pre', 'q', 'rp', 'rt', 'ruby', 's', 'samp', 'small', 'span', 'strike', 'strong', 'sub', 'summary',
+    'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr'
+  ],
+  attributes: {
+    '*': ['title', 'lang', 'dir'],
+    'a': ['href', 'name', 'rel', 'hreflang'],
+    'img': ['src', 'alt', 'width', 'height'],
+    'blockquote': ['cite'],
+    'q': ['cite'],
+    'del': ['cite', 'datetime'],
+    'ins': ['cite', 'datetime'],
+    'time': ['datetime'],
+    'ol': ['start', 'reversed', 'type'],
+    'li': ['value'],
+    'col': ['span'],
+    'colgroup': ['span'],
+    'td': ['colspan', 'rowspan', 'headers'],
+    'th': ['colspan', 'rowspan', 'headers', 'scope', 'abbr']
+  },
+  schemes: ['http', 'https', 'mailto', 'ftp']
+};
+
+/*
+ * Elements that never have a closing tag
+ */
+var VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+
+/*
+ * Elements whose content is removed along with them, rather than kept as text
+ */
+var DROP_CONTENT = ['script', 'style', 'template', 'iframe', 'object', 'applet', 'noembed', 'noframes', 'title', 'xmp'];
+
+/*
+ * Elements and attributes that are removed even if they are allowed
+ */
+var NEVER_ALLOWED = ['script', 'style'];
+
+/*
+ * Attributes whose values are URLs
+ */
+var URL_ATTRIBUTES = ['href', 'src', 'cite', 'longdesc', 'action', 'formaction', 'poster', 'background', 'usemap', 'xlink:href'];
+
+/*
+ * The whitespace and control characters browsers ignore in URLs, e.g.,
+ * "java\tscript:"
+ */
+var IGNORED_IN_URLS = new RegExp('[\\u0000- \\u007f-\\u009f]+', 'g');
+
+var TOKEN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[([\s\S]*?)(?:\]\]>|$)|<[!?][^>]*>?|<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g
+  , ATTRIBUTE = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g
+  ;
+
+/*
+ * Clean a fragment of HTML, keeping only the allowed tags and attributes
+ *
+ * Scripts and styles (elements and attributes), event handlers, and URLs
+ * with any scheme other than the allowed ones (e.g., "javascript:" and
+ * "data:") are always removed. The content of a tag that is not allowed is
+ * kept, except for scripts, styles, iframes and the like. Unclosed tags are
+ * closed and stray closing tags are removed, so the result can be safely
+ * embedded in another document.
+ *
+ * @param {String} html
+ * @param {Object|Boolean} [options] `true` or an Object with any of:
+ *   - tags {Array} the allowed tag names
+ *   - attributes {Object} tag name => Array of allowed attribute names; those
+ *     under "*" are allowed on every tag
+ *   - schemes {Array} the allowed URL schemes
+ * @return {String}
+ * @api public
+ */
+function sanitize (html, options) {
+  if (typeof html !== 'string' || !html) return html;
+
+  var opts = _.assign({}, DEFAULTS, typeof options === 'object' ? options : null)
+    , output = ''
+    , stack = []
+    , last = 0
+    , m
+    ;
+
+  TOKEN.lastIndex = 0;
+  while ((m = TOKEN.exec(html))) {
+    output += text(html.slice(last, m.index));
+    last = TOKEN.lastIndex;
+
+    if (m[1] !== undefined) { // CDATA
+      output += text(m[1]);
+      continue;
+    }
+    if (!m[3]) continue; // comment, doctype or processing instruction
+
+    var name = localName(m[3])
+      , closing = !!m[2]
+      , allowed = ~opts.tags.indexOf(name) && !~NEVER_ALLOWED.indexOf(name)
+      , i
+      ;
+
+    if (closing) {
+      if (!allowed || (i = stack.lastIndexOf(name)) === -1) continue;
+      while (stack.length > i) output += '</' + stack.pop() + '>';
+      continue;
+    }
+
+    if (!allowed) {
+      if (~DROP_CONTENT.indexOf(name) && !m[5]) {
+        // Skip everything up to and including the closing tag
+        var end = new RegExp('</' + m[3].replace(/[.]/g, '\\.') + '\\s*>', 'ig');
+        end.lastIndex = last;
+        last = end.exec(html) ? end.lastIndex : html.length;
+        TOKEN.lastIndex = last;
+      }
+      continue;
+    }
+
+    output += '<' + name + attributes(name, m[4], opts) + '>';
+    if (!~VOID_ELEMENTS.indexOf(name) && !m[5]) stack.push(name);
+  }
+  output += text(html.slice(last));
+
+  while (stack.length) output += '</' + stack.pop() + '>';
+  return output;
+}
+
+/*
+ * Build the allowed attributes of a tag
+ * @private
+ */
+function attributes (tag, str, opts) {
+  var allowed = (opts.attributes['*'] || []).concat(opts.attributes[tag] || [])
+    , result = ''
+    , seen = {}
+    , m
+    ;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((m = ATTRIBUTE.exec(str))) {
+    var name = m[1].toLowerCase()
+      , value = decode(m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '')
+      ;
+    if (seen[name] || !~allowed.indexOf(name) || /^on/.test(name) || ~NEVER_ALLOWED.indexOf(name)) continue;
+    if ((~URL_ATTRIBUTES.indexOf(name) && !safeUrl(value, opts.schemes)) ||
+        (name === 'srcset' && !value.split(',').every(function (candidate) {
+          return safeUrl(candidate.trim().split(/\s+/)[0], opts.schemes);
+        }))) {
+      continue;
+    }
+    seen[name] = true;
+    result += ' ' + name + '="' + escapeAttribute(value) + '"';
+  }
+  return result;
+}
+
+/*
+ * Is a URL relative, or does it use one of the allowed schemes?
+ * @private
+ */
+function safeUrl (url, schemes) {
+  var m = url.replace(IGNORED_IN_URLS, '').toLowerCase().match(/^([a-z][a-z0-9+.-]*):/);
+  return !m || !!~schemes.indexOf(m[1]);
+}
+
+/*
+ * Strip any namespace prefix from a tag name, e.g., "xhtml:div"
+ * @private
+ */
+function localName (name) {
+  return name.toLowerCase().replace(/^.*:/, '');
+}
+
+/*
+ * Escape the markup characters in text, leaving any entities alone
+ * @private
+ */
+function text (str) {
+  return str
+    .replace(/&(?!#\d+;|#x[\da-f]+;|[a-z][a-z\d]*;)/ig, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/*
+ * @private
+ */
+function escapeAttribute (str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/*
+ * Decode the entities in an attribute value
+ * @private
+ */
+function decode (str) {
+  var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', colon: ':', tab: '\t', newline: '\n', nbsp: ' ' };
+  return str.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));?/ig, function (match, dec, hex, name) {
+    var code = dec ? parseInt(dec, 10) : hex ? parseInt(hex, 16) : null;
+    if (code !== null) {
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return named.hasOwnProperty(name.toLowerCase()) ? named[name.toLowerCase()] : match;
+  });
+}
+
+sanitize.defaults = DEFAULTS;
+
+exports = module.exports = sanitize;
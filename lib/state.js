@@ -0,0 +1,132 @@
+var crypto = require('crypto')
+  , fs = require('fs');
+
+/*
+ * What we remember about an item between runs
+ *
+ * @param {Object} item the normalized item
+ * @return {Object} with the item's date (as an ISO String, or null) and a
+ *   hash of its content
+ * @private
+ */
+function entry (item) {
+  var date = item.date || item.pubdate;
+  return {
+    date: date && !isNaN(date) ? date.toISOString() : null,
+    hash: crypto.createHash('sha1').update([
+      item.title || '',
+      item.link || '',
+      item.description || item.summary || ''
+    ].join('\n'), 'utf8').digest('hex')
+  };
+}
+exports.entry = entry;
+
+/*
+ * Compare an item with what we remembered about it
+ *
+ * @param {Object} previous the state from the last run, or null
+ * @param {String} id
+ * @param {Object} current the entry() of the item now
+ * @return {String} 'new', 'updated' or null if it has not changed
+ * @private
+ */
+function status (previous, id, current) {
+  var before = previous && previous.items && previous.items[id];
+  if (!before) return 'new';
+  if (before.date !== current.date || before.hash !== current.hash) return 'updated';
+  return null;
+}
+exports.status = status;
+
+/**
+ * FileStore constructor.
+ *
+ * Keeps the polling state of any number of feeds, by key, in a JSON file.
+ * Writes from one process are queued, but it is not safe for several
+ * processes to share a file.
+ *
+ * @param {String} path
+ * @api public
+ */
+function FileStore (path) {
+  if (!(this instanceof FileStore)) return new FileStore(path);
+  this.path = path;
+  this.pending = []; // Sets waiting for the next write
+  this.writing = false;
+  this.writes = 0;
+}
+
+FileStore.prototype.read = function (callback) {
+  fs.readFile(this.path, 'utf8', function (err, text) {
+    if (err) return callback(err.code === 'ENOENT' ? null : err, {});
+    try {
+      callback(null, JSON.parse(text) || {});
+    } catch (e) {
+      callback(e);
+    }
+  });
+};
+
+/**
+ * Get the state of a feed
+ *
+ * @param {String} key
+ * @param {Function} callback called with an error or the state (or null)
+ * @api public
+ */
+FileStore.prototype.get = function (key, callback) {
+  this.read(function (err, states) {
+    if (err) return callback(err);
+    callback(null, states.hasOwnProperty(key) ? states[key] : null);
+  });
+};
+
+/**
+ * Save the state of a feed
+ *
+ * @param {String} key
+ * @param {Object} state
+ * @param {Function} callback called with an error, if any
+ * @api public
+ */
+FileStore.prototype.set = function (key, state, callback) {
+  this.pending.push({ key: key, state: state, callback: callback });
+  this.flush();
+};
+
+/*
+ * Write all of the pending sets at once, unless a write is under way, in
+ * which case they wait for the next one
+ */
+FileStore.prototype.flush = function () {
+  var self = this
+    , sets = this.pending
+    , tmp = this.path + '.' + process.pid + '.' + (++this.writes) + '.tmp'
+    ;
+
+  function done (err) {
+    sets.forEach(function (set) {
+      set.callback(err || null);
+    });
+    self.writing = false;
+    if (self.pending.length) self.flush();
+  }
+
+  if (this.writing || !sets.length) return;
+  this.writing = true;
+  this.pending = [];
+  this.read(function (err, states) {
+    if (err) return done(err);
+    sets.forEach(function (set) {
+      states[set.key] = set.state;
+    });
+    // Write it all, then swap it in, so the file is never half-written
+    fs.writeFile(tmp, JSON.stringify(states), function (err) {
+      if (err) return done(err);
+      fs.rename(tmp, self.path, done);
+    });
+  });
+};
+
+exports.FileStore = FileStore;
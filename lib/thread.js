@@ -0,0 +1,44 @@
+var dates = require('./dates')
+  , _ = require('./utils');
+
+/*
+ * Build the Atom Threading Extensions (RFC 4685) properties of an item node
+ *
+ *   - inReplyTo {Array} of { ref, href, type, source }, one for each
+ *     thr:in-reply-to, i.e., the entries this one is a response to
+ *   - replies {Array} of { href, type, count, updated }, one for each
+ *     link rel="replies", i.e., where to find the responses to this entry
+ *   - replyCount {Number} the thr:total number of responses (or null)
+ *
+ * @param {Object} node
+ * @return {Object}
+ * @private
+ */
+function thread (node) {
+  var links = _.asArray(node['link']).concat(_.asArray(node['atom:link']), _.asArray(node['atom10:link']));
+  return {
+    inReplyTo: _.asArray(node['thr:in-reply-to']).map(function (el) {
+      return {
+        ref: _.getAttr(el, 'ref'),
+        href: _.getAttr(el, 'href'),
+        type: _.getAttr(el, 'type'),
+        source: _.getAttr(el, 'source')
+      };
+    }).filter(function (reply) { return reply.ref; }),
+    replies: links.filter(function (el) {
+      return _.getAttr(el, 'rel') === 'replies' && _.getAttr(el, 'href');
+    }).map(function (el) {
+      // The thr: prefix is dropped from attributes when the feed uses the usual one
+      var updated = _.getAttr(el, 'thr:updated') || _.getAttr(el, 'updated');
+      return {
+        href: _.getAttr(el, 'href'),
+        type: _.getAttr(el, 'type'),
+        count: _.toInteger(_.getAttr(el, 'thr:count') || _.getAttr(el, 'count')),
+        updated: updated ? dates.parse(updated) : null
+      };
+    }),
+    replyCount: _.toInteger(_.getText(node['thr:total']))
+  };
+}
+
+exports = module.exports = thread;
@@ -1,6 +1,4 @@
-var URL = require('url')
-  , namespaces = require('./namespaces')
-  ;
+var URL = require('url');
 
 exports.has = require('lodash.has');
 exports.assign = require('lodash.assign');
@@ -55,38 +53,95 @@ function safeTrim (val) {
 exports.safeTrim = safeTrim;
 
 /*
- * Expose require('url').resolve
+ * Wrap a node in an Array if it isn't one already; no node yields an empty Array
+ *
+ * @param {Object|Array} el
+ * @return {Array}
  * @private
  */
-function resolve (baseUrl, pathUrl) {
-  return URL.resolve(baseUrl, pathUrl);
+function asArray (el) {
+  if (el === undefined || el === null) return [];
+  return Array.isArray(el) ? el : [el];
 }
-exports.resolve = resolve;
+exports.asArray = asArray;
+
+/*
+ * Get the first of one or more nodes
+ *
+ * @param {Object|Array} el
+ * @return {Object} or undefined
+ * @private
+ */
+function first (el) {
+  return asArray(el)[0];
+}
+exports.first = first;
+
+/*
+ * Get the trimmed text of a node (or the first of several nodes)
+ *
+ * @param {Object|Array} el
+ * @return {String} or null if the node is missing or empty
+ * @private
+ */
+function getText (el) {
+  return safeTrim(get(el)) || null;
+}
+exports.getText = getText;
 
 /*
- * Check whether a given namespace URI matches the given default
+ * Get the trimmed value of one of a node's attributes
  *
- * @param {String} URI
- * @param {String} default, e.g., 'atom'
- * @return {Boolean}
+ * @param {Object} el
+ * @param {String} name
+ * @return {String} or null if the attribute is missing or empty
  * @private
  */
-function nslookup (uri, def) {
-  return namespaces[uri] === def;
+function getAttr (el, name) {
+  return (el && el['@'] && safeTrim(el['@'][name])) || null;
 }
-exports.nslookup = nslookup;
+exports.getAttr = getAttr;
 
 /*
- * Return the "default" namespace prefix for a given namespace URI
+ * Parse a Number, returning null instead of NaN
  *
- * @param {String} URI
- * @return {String}
+ * @param {String} str
+ * @return {Number}
  * @private
  */
-function nsprefix (uri) {
-  return namespaces[uri];
+function toNumber (str) {
+  var n = parseFloat(str);
+  return isNaN(n) ? null : n;
 }
-exports.nsprefix = nsprefix;
+exports.toNumber = toNumber;
+
+/*
+ * Parse an integer, returning null instead of NaN
+ *
+ * @param {String} str
+ * @return {Number}
+ * @private
+ */
+function toInteger (str) {
+  var n = parseInt(str, 10);
+  return isNaN(n) ? null : n;
+}
+exports.toInteger = toInteger;
+
+/*
+ * Expose require('url').resolve
+ *
+ * Absolute urls with schemes other than http(s), e.g., ipfs: or urn:, are
+ * returned as-is, because url.resolve would lowercase them.
+ * @private
+ */
+function resolve (baseUrl, pathUrl) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(pathUrl) && !/^https?:/i.test(pathUrl)) {
+    return pathUrl;
+  }
+  return URL.resolve(baseUrl, pathUrl);
+}
+exports.resolve = resolve;
 
 /*
  * Walk a node and re-resolve the urls using the given baseurl
@@ -110,17 +165,17 @@ function reresolve (node, baseurl) {
         if (level[el].constructor.name === 'Object') {
           if (el == 'logo' || el == 'icon') {
             if ('#' in level[el]) {
-              level[el]['#'] = URL.resolve(baseurl, level[el]['#']);
+              level[el]['#'] = resolve(baseurl, level[el]['#']);
             }
           } else {
             var attrs = Object.keys(level[el]);
             attrs.forEach(function(name){
               if (name == 'href' || name == 'src' || name == 'uri') {
                 if ('string' === typeof level[el][name]) {
-                  level[el][name] = URL.resolve(baseurl, level[el][name]);
+                  level[el][name] = resolve(baseurl, level[el][name]);
                 }
                 else if ('#' in level[el][name]) {
-                  level[el][name]['#'] = URL.resolve(baseurl, level[el][name]['#']);
+                  level[el][name]['#'] = resolve(baseurl, level[el][name]['#']);
                 }
               }
             });
@@ -148,3 +203,36 @@ function stripHtml (str) {
 }
 
 exports.stripHtml = stripHtml;
+
+/*
+ * Escape the markup characters in (decoded) text
+ *
+ * @param {String} str
+ * @private
+ */
+function escapeHtml (str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+exports.escapeHtml = escapeHtml;
+
+/*
+ * Parse the parameters of a Content-Type header
+ *
+ * @param {String} str
+ * @return {Object} the parameters, by their lowercased names
+ * @private
+ */
+function contentTypeParams (str) {
+  return (str || '').split(';').slice(1).reduce(function (params, param) {
+    var parts = param.split('=').map(function (part) { return part.trim().replace(/^"(.*)"$/, '$1'); });
+    if (parts.length === 2) {
+      params[parts[0].toLowerCase()] = parts[1];
+    }
+    return params;
+  }, {});
+}
+exports.contentTypeParams = contentTypeParams;
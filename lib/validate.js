@@ -0,0 +1,233 @@
+/*global Promise*/
+var dates = require('./dates')
+  , feedparser = require('./feedparser/constructor')
+  , _ = require('./utils');
+
+/*
+ * The severity of each kind of finding
+ */
+var CODES = {
+  'malformed-xml': 'error',
+  'not-a-feed': 'error',
+  'missing-element': 'error',
+  'missing-attribute': 'error',
+  'invalid-date': 'error',
+  'duplicate-guid': 'warning',
+  'guid-used-as-link': 'warning',
+  'invalid-enclosure-length': 'warning',
+  'relative-url': 'warning',
+  'unknown-namespace': 'info'
+};
+exports.CODES = CODES;
+
+/*
+ * The children each container must have, by the container's qualified name.
+ * An Array in the list means any one of those will do.
+ */
+var REQUIRED = {
+  'rss': ['channel'],
+  'channel': ['title', 'link', 'description'],
+  'item': [['title', 'description']],
+  'rdf:channel': ['rdf:title', 'rdf:link', 'rdf:description'],
+  'rdf:item': ['rdf:title', 'rdf:link'],
+  'atom:feed': ['atom:id', 'atom:title', 'atom:updated'],
+  'atom:entry': ['atom:id', 'atom:title', 'atom:updated']
+};
+
+var ITEMS = ['item', 'rdf:item', 'atom:entry'];
+
+var DATE_ELEMENTS = [
+  'pubdate', 'lastbuilddate',
+  'atom:updated', 'atom:published', 'atom:modified', 'atom:issued', 'atom:created',
+  'dc:date', 'dcterms:date', 'dcterms:created', 'dcterms:issued', 'dcterms:modified'
+];
+
+var URL_ELEMENTS = ['link', 'comments', 'docs', 'url', 'rdf:link', 'rdf:url', 'atom:icon', 'atom:logo', 'atom:uri'];
+
+var URL_ATTRIBUTES = ['href', 'url', 'src'];
+
+/*
+ * Where the parser is now
+ *
+ * @param {FeedParser} parser
+ * @return {Object} with the line and column, both counting from 1
+ * @private
+ */
+function position (parser) {
+  var sax = parser.stream._parser;
+  return { line: sax.line + 1, column: sax.column };
+}
+exports.position = position;
+
+/*
+ * The qualified name of an element, using our prefix for its namespace
+ */
+function qualify (parser, node) {
+  var prefix = parser.nsprefix(node.uri) || node.prefix;
+  return prefix ? prefix + ':' + node.local : node.local;
+}
+
+function isRelative (url) {
+  return !/^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+/*
+ * Record a finding about an element
+ */
+function report (parser, frame, code, message) {
+  parser.handleFinding(code, message, { element: frame.tag, line: frame.line, column: frame.column });
+}
+
+/*
+ * Check an element as it opens
+ *
+ * @param {FeedParser} parser
+ * @param {Object} node the sax node
+ * @private
+ */
+function open (parser, node) {
+  var state = parser.validation
+    , frame = position(parser)
+    ;
+  frame.tag = node.name;
+  frame.name = qualify(parser, node);
+  frame.children = [];
+  state.stack.unshift(frame);
+
+  if (node.uri && !parser.namespaces[node.uri] && !state.namespaces[node.uri]) {
+    state.namespaces[node.uri] = true;
+    report(parser, frame, 'unknown-namespace', 'Unknown namespace ' + node.uri + (node.prefix ? ' (prefix "' + node.prefix + '")' : ''));
+  }
+}
+exports.open = open;
+
+/*
+ * Check an element as it closes
+ *
+ * @param {FeedParser} parser
+ * @param {Object} n the parsed element, with its text in '#' and attributes in '@'
+ * @private
+ */
+function close (parser, n) {
+  var state = parser.validation
+    , frame = state.stack.shift()
+    , parent = state.stack[0]
+    , text = typeof n['#'] === 'string' ? n['#'].trim() : ''
+    , attrs = n['@'] || {}
+    , name
+    ;
+  if (!frame) return;
+  name = frame.name;
+  if (parent) parent.children.push(name);
+  if (parser.in_xhtml) return; // Just markup
+
+  if (REQUIRED[name]) {
+    REQUIRED[name].forEach(function (required) {
+      var any = [].concat(required);
+      if (!any.some(function (child) { return ~frame.children.indexOf(child); })) {
+        report(parser, frame, 'missing-element', 'The <' + frame.tag + '> has no ' + any.map(function (child) {
+          return '<' + child.replace(/^\w+:/, '') + '>';
+        }).join(' or '));
+      }
+    });
+  }
+
+  if (name === 'atom:entry' && !~frame.children.indexOf('atom:author') && !~frame.children.indexOf('atom:source')) {
+    state.authorless++;
+  } else if (name === 'atom:feed' && !~frame.children.indexOf('atom:author') && state.authorless) {
+    report(parser, frame, 'missing-element', 'The <' + frame.tag + '> has no <author> for the ' +
+      state.authorless + (state.authorless === 1 ? ' entry' : ' entries') + ' without one');
+  }
+
+  if (name === 'item' && frame.guidUrl && !~frame.children.indexOf('link')) {
+    report(parser, frame, 'guid-used-as-link', 'The <' + frame.tag + '> has no <link>, so its <guid> may be used as one, ' +
+      'but the guid is not a permalink: ' + frame.guidUrl);
+  }
+
+  if ((name === 'guid' || name === 'atom:id') && parent && ~ITEMS.indexOf(parent.name) && text) {
+    if (state.guids[text]) {
+      report(parser, frame, 'duplicate-guid', 'Duplicate guid ' + text + ', first seen on line ' + state.guids[text].line);
+    } else {
+      state.guids[text] = frame;
+    }
+    if (name === 'guid' && /false/i.test(attrs['ispermalink']) && /^https?:/.test(text)) {
+      parent.guidUrl = text;
+    }
+  }
+
+  if (~DATE_ELEMENTS.indexOf(name) && text && !dates.parse(text)) {
+    report(parser, frame, 'invalid-date', 'Invalid date in <' + frame.tag + '>: ' + text);
+  }
+
+  if (name === 'enclosure') {
+    ['url', 'length', 'type'].forEach(function (attr) {
+      if (!_.safeTrim(attrs[attr])) {
+        report(parser, frame, 'missing-attribute', 'The <' + frame.tag + '> has no ' + attr + ' attribute');
+      }
+    });
+  }
+  if ((name === 'enclosure' || (name === 'atom:link' && attrs['rel'] === 'enclosure')) &&
+      _.safeTrim(attrs['length']) && !/^\s*\d+\s*$/.test(attrs['length'])) {
+    report(parser, frame, 'invalid-enclosure-length', 'The length of the <' + frame.tag + '> is not a number of bytes: ' + attrs['length']);
+  }
+
+  if (!parser.xmlbase.length) {
+    // Without a base, we can't make these absolute
+    if (~URL_ELEMENTS.indexOf(name) && text && isRelative(text)) {
+      report(parser, frame, 'relative-url', 'The <' + frame.tag + '> is a relative URL, and there is no base URL: ' + text);
+    }
+    URL_ATTRIBUTES.forEach(function (attr) {
+      var url = _.safeTrim(attrs[attr]);
+      if (url && isRelative(url)) {
+        report(parser, frame, 'relative-url', 'The ' + attr + ' of the <' + frame.tag + '> is a relative URL, and there is no base URL: ' + url);
+      }
+    });
+  }
+}
+exports.close = close;
+
+/**
+ * Parse a feed just to find what is wrong with it
+ *
+ * Resolves with:
+ *   - valid {Boolean} whether there were no findings with the severity 'error'
+ *   - findings {Array} of { code, severity, message, location }
+ *   - meta {Object}
+ *   - items {Array}
+ *
+ * @param {String|Buffer} input
+ * @param {Object} [options] as for the FeedParser constructor
+ * @return {Promise}
+ * @api public
+ */
+function validate (input, options) {
+  options = _.assign({}, options, { validate: true, resume_saxerror: true });
+
+  return new Promise(function (resolve, reject) {
+    var parser = new feedparser.FeedParser(options)
+      , items = [];
+
+    function done () {
+      resolve({
+        valid: !parser.findings.some(function (finding) { return finding.severity === 'error'; }),
+        findings: parser.findings,
+        meta: parser.meta,
+        items: items
+      });
+    }
+
+    parser.on('error', function (err) {
+      if (/^Not a feed/.test(err.message)) return done(); // Already a finding
+      reject(err);
+    })
+    .on('readable', function () {
+      var item;
+      while (item = this.read()) {
+        items.push(item);
+      }
+    })
+    .on('end', done);
+    parser.end(input);
+  });
+}
+exports.validate = validate;
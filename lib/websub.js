@@ -0,0 +1,377 @@
+var http = require('http')
+  , crypto = require('crypto')
+  , URL = require('url')
+  , querystring = require('querystring')
+  , util = require('util')
+  , EventEmitter = require('events').EventEmitter
+  , post = require('./fetch').post
+  , feedparser = require('./feedparser/constructor')
+  , _ = require('./utils');
+
+var SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+
+// setTimeout can't wait any longer than this
+var MAX_DELAY = 0x7fffffff;
+
+// The default limit on the size of pushed content
+var MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+// How long to wait before retrying a failed renewal, doubling each time
+var RETRY_DELAY = 60 * 1000;
+
+/**
+ * WebSubSubscriber constructor.
+ *
+ * Subscribes to feeds at their WebSub (formerly PubSubHubbub) hubs, and runs
+ * the HTTP server the hubs call back. Emits:
+ *   - listening once the server is listening
+ *   - subscribe (topic, leaseSeconds) when the hub verifies a subscription
+ *   - unsubscribe (topic) when the hub verifies an unsubscription
+ *   - denied (topic, reason) when the hub refuses a subscription
+ *   - meta (meta, topic) and item (item, topic) for the feeds the hubs push
+ *   - warning (err) for pushed content that we ignore because its signature
+ *     is missing or wrong, and for each failed renewal, which we retry
+ *   - expire (topic, err) when a subscription lapses because we couldn't
+ *     renew it
+ *   - error (err) for pushed content that can't be parsed; `err.topic` is the
+ *     feed's url
+ *
+ * Options:
+ *   - callbackUrl {String} the url at which the hubs can reach the server;
+ *     by default, its address once it's listening
+ *   - port {Number} for the server (default: any free port)
+ *   - host {String} for the server
+ *   - secret {String} to have the hubs sign what they push, so that we can
+ *     ignore anything else
+ *   - leaseSeconds {Number} how long to ask the hubs to keep the
+ *     subscriptions; we renew them before they lapse
+ *   - maxBodySize {Number} of pushed content, in bytes, above which we
+ *     refuse it with a 413 (default: 16M)
+ *   - retryDelay {Number} milliseconds before retrying a failed renewal,
+ *     doubled after each try, for as long as the lease lasts (default: 1
+ *     minute)
+ *   - parser {Object} options for the FeedParser of pushed content
+ *
+ * @param {Object} options
+ * @api public
+ */
+function WebSubSubscriber (options) {
+  if (!(this instanceof WebSubSubscriber)) return new WebSubSubscriber(options);
+  EventEmitter.call(this);
+  this.options = _.assign({}, options);
+  this.subscriptions = {}; // By id
+  this.server = http.createServer(this.handle.bind(this));
+}
+util.inherits(WebSubSubscriber, EventEmitter);
+
+/**
+ * Start the callback server
+ *
+ * @param {Function} [callback]
+ * @api public
+ */
+WebSubSubscriber.prototype.listen = function (callback) {
+  this.server.listen(this.options.port || 0, this.options.host, function () {
+    if (!this.options.callbackUrl) {
+      var address = this.server.address();
+      this.options.callbackUrl = 'http://' + (/:/.test(address.address) ? '[' + address.address + ']' : address.address) + ':' + address.port + '/';
+    }
+    this.emit('listening');
+    if (callback) callback();
+  }.bind(this));
+  return this;
+};
+
+/**
+ * Stop the callback server and any renewals
+ *
+ * @param {Function} [callback]
+ * @api public
+ */
+WebSubSubscriber.prototype.close = function (callback) {
+  Object.keys(this.subscriptions).forEach(function (id) {
+    clearTimeout(this.subscriptions[id].timer);
+  }, this);
+  this.server.close(callback);
+};
+
+/*
+ * Find the hub and topic urls of a feed
+ *
+ * @param {Object} feed a parsed meta, or { hub, topic }
+ * @return {Object} { hub, topic } or an Error
+ * @private
+ */
+function target (feed) {
+  var hub = feed && (feed.hub || (feed.cloud && feed.cloud.type === 'hub' && feed.cloud.href))
+    , topic = feed && (feed.topic || feed.xmlurl);
+  if (!hub) return new Error('The feed has no hub');
+  if (!topic) return new Error('The feed has no self link');
+  return { hub: hub, topic: topic };
+}
+
+/*
+ * The path of the callback url for a topic: the one it already has, or a new
+ * random one, so that no one but the hub can guess it
+ */
+WebSubSubscriber.prototype.subscriptionId = function (topic) {
+  var ids = Object.keys(this.subscriptions)
+    , i;
+  for (i = 0; i < ids.length; i++) {
+    if (this.subscriptions[ids[i]].topic === topic) return ids[i];
+  }
+  return crypto.randomBytes(20).toString('hex');
+};
+
+/**
+ * Ask a feed's hub to push it to us
+ *
+ * The callback is called once the hub accepts the request; the subscription
+ * starts when the hub verifies it, with a `subscribe` event.
+ *
+ * @param {Object} feed a parsed meta, or { hub, topic }
+ * @param {Function} [callback]
+ * @api public
+ */
+WebSubSubscriber.prototype.subscribe = function (feed, callback) {
+  this.request('subscribe', feed, callback);
+};
+
+/**
+ * Ask a feed's hub to stop pushing it to us
+ *
+ * @param {Object} feed a parsed meta, or { hub, topic }
+ * @param {Function} [callback]
+ * @api public
+ */
+WebSubSubscriber.prototype.unsubscribe = function (feed, callback) {
+  this.request('unsubscribe', feed, callback);
+};
+
+WebSubSubscriber.prototype.request = function (mode, feed, callback) {
+  var to = target(feed)
+    , id
+    , subscription
+    , params
+    ;
+  callback = callback || function (err) {
+    if (err) this.emit('error', err);
+  }.bind(this);
+  if (to instanceof Error) return callback(to);
+  if (!this.options.callbackUrl) return callback(new Error('Not listening'));
+
+  id = this.subscriptionId(to.topic);
+  subscription = this.subscriptions[id] = this.subscriptions[id] || { id: id, hub: to.hub, topic: to.topic, active: false };
+  subscription.hub = to.hub;
+  subscription.pending = mode;
+  clearTimeout(subscription.timer);
+
+  params = {
+    'hub.mode': mode,
+    'hub.topic': to.topic,
+    'hub.callback': URL.resolve(this.options.callbackUrl, id)
+  };
+  if (mode === 'subscribe') {
+    if (this.options.secret) params['hub.secret'] = this.options.secret;
+    if (this.options.leaseSeconds) params['hub.lease_seconds'] = String(this.options.leaseSeconds);
+  }
+  post(to.hub, querystring.stringify(params), 'application/x-www-form-urlencoded', function (err, res) {
+    if (err) return callback(err);
+    if (res.statusCode < 200 || res.statusCode > 299) {
+      err = new Error('The hub refused to ' + mode + ': ' + res.statusCode);
+      err.status = res.statusCode;
+      return callback(err);
+    }
+    callback(null);
+  });
+};
+
+/**
+ * Handle a request from a hub
+ *
+ * The server calls this, but you can also call it from your own server.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @api public
+ */
+WebSubSubscriber.prototype.handle = function (req, res) {
+  var url = URL.parse(req.url, true)
+    , subscription = this.subscriptions[url.pathname.split('/').pop()];
+
+  if (!subscription) {
+    res.writeHead(404);
+    return res.end();
+  }
+  if (req.method === 'GET') return this.handleVerification(subscription, url.query, res);
+  if (req.method === 'POST') return this.handleContent(subscription, req, res);
+  res.writeHead(405, { 'Allow': 'GET, POST' });
+  res.end();
+};
+
+/*
+ * Answer the hub's challenge, if it's verifying what we asked for
+ */
+WebSubSubscriber.prototype.handleVerification = function (subscription, query, res) {
+  var mode = query['hub.mode']
+    , leaseSeconds = _.toInteger(query['hub.lease_seconds']);
+
+  if (mode === 'denied') {
+    subscription.active = false;
+    subscription.pending = null;
+    res.writeHead(200);
+    res.end();
+    return this.emit('denied', subscription.topic, query['hub.reason'] || null);
+  }
+  if (query['hub.topic'] !== subscription.topic || mode !== subscription.pending || typeof query['hub.challenge'] !== 'string') {
+    res.writeHead(404);
+    return res.end();
+  }
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(query['hub.challenge']);
+
+  subscription.pending = null;
+  subscription.active = mode === 'subscribe';
+  if (subscription.active) {
+    if (leaseSeconds) this.renew(subscription, leaseSeconds);
+    this.emit('subscribe', subscription.topic, leaseSeconds);
+  } else {
+    delete this.subscriptions[subscription.id];
+    this.emit('unsubscribe', subscription.topic);
+  }
+};
+
+/*
+ * Subscribe again when most of the lease is over
+ */
+WebSubSubscriber.prototype.renew = function (subscription, leaseSeconds) {
+  subscription.expires = Date.now() + leaseSeconds * 1000;
+  // At 90% of the lease, in ms
+  this.scheduleRenewal(subscription, Math.min(leaseSeconds * 900, MAX_DELAY), this.options.retryDelay || RETRY_DELAY);
+};
+
+/*
+ * Subscribe again after a delay and, if that fails, retry with backoff until
+ * the lease lapses
+ */
+WebSubSubscriber.prototype.scheduleRenewal = function (subscription, delay, retryDelay) {
+  clearTimeout(subscription.timer);
+  subscription.timer = setTimeout(function () {
+    this.subscribe({ hub: subscription.hub, topic: subscription.topic }, function (err) {
+      if (!err) return;
+      // Unsubscribed meanwhile
+      if (this.subscriptions[subscription.id] !== subscription || subscription.pending !== 'subscribe') return;
+      err.topic = subscription.topic;
+      if (Date.now() + retryDelay < subscription.expires) {
+        this.emit('warning', err);
+        return this.scheduleRenewal(subscription, retryDelay, retryDelay * 2);
+      }
+      delete this.subscriptions[subscription.id];
+      this.emit('expire', subscription.topic, err);
+    }.bind(this));
+  }.bind(this), delay);
+  if (subscription.timer.unref) subscription.timer.unref();
+};
+
+/*
+ * Parse what the hub pushed
+ */
+WebSubSubscriber.prototype.handleContent = function (subscription, req, res) {
+  var secret = this.options.secret
+    , maxBodySize = this.options.maxBodySize || MAX_BODY_SIZE
+    , chunks = []
+    , size = 0;
+
+  function tooLarge () {
+    res.writeHead(413, { 'Connection': 'close' });
+    res.end();
+  }
+
+  if (!subscription.active) {
+    res.writeHead(410); // So the hub stops
+    return res.end();
+  }
+  if (_.toInteger(req.headers['content-length']) > maxBodySize) return tooLarge();
+  req.on('data', function onData (chunk) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      chunks = null;
+      req.removeListener('data', onData);
+      req.pause();
+      return tooLarge();
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function () {
+    var body
+      , err;
+    if (!chunks) return;
+    body = Buffer.concat(chunks);
+    // Acknowledge it, whether or not we believe it
+    res.writeHead(204);
+    res.end();
+    if (secret && !verifySignature(secret, req.headers['x-hub-signature'], body)) {
+      err = new Error('Invalid signature');
+      err.topic = subscription.topic;
+      return this.emit('warning', err);
+    }
+    this.parser(subscription.topic, req.headers).end(body);
+  }.bind(this));
+};
+
+/*
+ * Make a FeedParser for the content of a topic that re-emits its meta and items
+ */
+WebSubSubscriber.prototype.parser = function (topic, headers) {
+  var options = _.assign({ feedurl: topic }, this.options.parser)
+    , charset = _.contentTypeParams(headers['content-type']).charset
+    , parser
+    , self = this
+    ;
+  if (charset && !options.charset) options.charset = charset;
+  parser = new feedparser.FeedParser(options);
+  parser.on('error', function (err) {
+    err.topic = topic;
+    self.emit('error', err);
+  })
+  .on('meta', function (meta) {
+    self.emit('meta', meta, topic);
+  })
+  .on('readable', function () {
+    var item;
+    while (item = this.read()) {
+      self.emit('item', item, topic);
+    }
+  });
+  return parser;
+};
+
+/*
+ * Check an X-Hub-Signature header, e.g., "sha1=0123...", against the body
+ *
+ * @param {String} secret
+ * @param {String} header
+ * @param {Buffer} body
+ * @return {Boolean}
+ * @private
+ */
+function verifySignature (secret, header, body) {
+  var match = /^(\w+)=([0-9a-f]+)$/i.exec(header || '')
+    , expected
+    , actual
+    , diff = 0
+    , i
+    ;
+  if (!match || SIGNATURE_ALGORITHMS.indexOf(match[1].toLowerCase()) === -1) return false;
+  expected = crypto.createHmac(match[1].toLowerCase(), secret).update(body).digest('hex');
+  actual = match[2].toLowerCase();
+  if (expected.length !== actual.length) return false;
+  // Compare in constant time
+  for (i = 0; i < expected.length; i++) {
+    diff |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+  return diff === 0;
+}
+WebSubSubscriber.verifySignature = verifySignature;
+
+exports = module.exports = WebSubSubscriber;
@@ -0,0 +1,266 @@
+/**********************************************************************
+ node-feedparser - A robust RSS, Atom, RDF parser for node.
+ http://github.com/danmactough/node-feedparser
+ Copyright (c) 2011-2016 Dan MacTough and contributors
+ http://mact.me
+
+**********************************************************************/
+
+/**
+ * Module dependencies.
+ */
+var util = require('util')
+  , TransformStream = require('readable-stream').Transform
+  , _ = require('./utils');
+
+/**
+ * FeedWriter constructor.
+ *
+ * Exposes a duplex (transform) stream to serialize a feed.
+ *
+ * Javascript objects in -> XML out. Each written chunk is an item in the shape
+ * emitted by FeedParser. If `options.meta` is not given, the `meta` of the
+ * first item is used.
+ *
+ * Options:
+ *   - format {String} one of 'rss' (the default) or 'atom'
+ *   - meta {Object} the feed meta, in the shape emitted by FeedParser
+ *   - feedurl {String} base url for resolving any relative urls
+ *
+ * @param {Object} options
+ * @api public
+ */
+function FeedWriter (options) {
+  if (!(this instanceof FeedWriter)) return new FeedWriter(options);
+  TransformStream.call(this);
+  this._writableState.objectMode = true;
+
+  this.options = _.assign({}, options);
+  if (!('format' in this.options)) this.options.format = 'rss';
+  if (this.options.format !== 'rss' && this.options.format !== 'atom') {
+    throw new Error('Unsupported format: ' + this.options.format);
+  }
+  this.meta = this.options.meta || null;
+  this._wrote_head = false;
+}
+util.inherits(FeedWriter, TransformStream);
+
+FeedWriter.prototype.baseurl = function () {
+  var meta = this.meta || {};
+  return this.options.feedurl || meta.xmlurl || meta.link || null;
+};
+
+FeedWriter.prototype.writeHead = function () {
+  if (this._wrote_head) return;
+  this._wrote_head = true;
+  this.push(this.options.format === 'atom' ? atomHead(this.meta || {}, this.baseurl()) : rssHead(this.meta || {}, this.baseurl()));
+};
+
+FeedWriter.prototype._transform = function (item, encoding, done) {
+  if (!this.meta && item.meta) this.meta = item.meta;
+  this.writeHead();
+  this.push(this.options.format === 'atom' ? atomEntry(item, this.baseurl()) : rssItem(item, this.baseurl()));
+  done();
+};
+
+FeedWriter.prototype._flush = function (done) {
+  this.writeHead();
+  this.push(this.options.format === 'atom' ? '</feed>\n' : '</channel>\n</rss>\n');
+  done();
+};
+
+/**
+ * Serialize a feed meta and an array of items to a String
+ *
+ * @param {Object} meta
+ * @param {Array} items
+ * @param {Object} [options] as for the FeedWriter constructor
+ * @return {String}
+ * @api public
+ */
+function serialize (meta, items, options) {
+  var writer = new FeedWriter(_.assign({}, options, { meta: meta }))
+    , out = '';
+  writer.on('data', function (chunk) {
+    out += chunk;
+  });
+  (items || []).forEach(function (item) {
+    writer.write(item);
+  });
+  writer.end();
+  return out;
+}
+FeedWriter.serialize = serialize;
+
+/*
+ * The characters that are not allowed in XML at all
+ */
+var INVALID_CHARS = new RegExp('[\\u0000-\\u0008\\u000B\\u000C\\u000E-\\u001F\\uFFFE\\uFFFF]', 'g');
+
+/*
+ * Escape a value for use in XML text or attributes, dropping any characters
+ * that are not allowed in XML at all
+ * @private
+ */
+function escape (str) {
+  return String(str)
+    .replace(INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+FeedWriter.escape = escape;
+
+/*
+ * Build an element, e.g., element('link', { href: 'foo' }) or
+ * element('title', null, 'foo'); null and undefined attributes are omitted
+ * @private
+ */
+function element (name, attrs, text) {
+  var out = '<' + name;
+  Object.keys(attrs || {}).forEach(function (attr) {
+    if (attrs[attr] !== null && attrs[attr] !== undefined && attrs[attr] !== '') {
+      out += ' ' + attr + '="' + escape(attrs[attr]) + '"';
+    }
+  });
+  if (text === null || text === undefined) return out + '/>';
+  return out + '>' + escape(text) + '</' + name + '>';
+}
+
+/*
+ * Resolve a url against the feed's base url, so the output never depends
+ * on an xml:base we do not write
+ * @private
+ */
+function absolute (baseurl, url) {
+  if (!url) return null;
+  return baseurl ? _.resolve(baseurl, url) : url;
+}
+
+/*
+ * @private
+ */
+function isDate (date) {
+  return date instanceof Date && !isNaN(date.getTime());
+}
+
+function rssHead (meta, baseurl) {
+  var out = '<?xml version="1.0" encoding="utf-8"?>\n' +
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+    '<channel>\n';
+  out += element('title', null, meta.title || '') + '\n';
+  out += element('link', null, absolute(baseurl, meta.link) || '') + '\n';
+  out += element('description', null, meta.description || meta.title || '') + '\n';
+  if (meta.xmlurl) out += element('atom:link', { rel: 'self', type: 'application/rss+xml', href: absolute(baseurl, meta.xmlurl) }) + '\n';
+  if (meta.language) out += element('language', null, meta.language) + '\n';
+  if (meta.copyright) out += element('copyright', null, meta.copyright) + '\n';
+  if (meta.author) out += element('dc:creator', null, meta.author) + '\n';
+  if (meta.generator) out += element('generator', null, meta.generator) + '\n';
+  if (isDate(meta.pubdate)) out += element('pubDate', null, meta.pubdate.toUTCString()) + '\n';
+  if (isDate(meta.date)) out += element('lastBuildDate', null, meta.date.toUTCString()) + '\n';
+  (meta.categories || []).forEach(function (category) {
+    out += element('category', null, category) + '\n';
+  });
+  if (meta.cloud && meta.cloud.type === 'rsscloud') {
+    out += element('cloud', {
+      domain: meta.cloud.domain,
+      port: meta.cloud.port,
+      path: meta.cloud.path,
+      registerProcedure: meta.cloud.registerprocedure || meta.cloud.registerProcedure,
+      protocol: meta.cloud.protocol
+    }) + '\n';
+  } else if (meta.cloud && meta.cloud.type === 'hub' && meta.cloud.href) {
+    out += element('atom:link', { rel: 'hub', href: meta.cloud.href }) + '\n';
+  }
+  if (meta.image && meta.image.url) {
+    out += '<image>' +
+      element('url', null, absolute(baseurl, meta.image.url)) +
+      element('title', null, meta.image.title || meta.title || '') +
+      element('link', null, absolute(baseurl, meta.link) || '') +
+      '</image>\n';
+  }
+  return out;
+}
+
+function rssItem (item, baseurl) {
+  var out = '<item>\n'
+    , link = absolute(baseurl, item.link)
+    ;
+  if (item.title) out += element('title', null, item.title) + '\n';
+  if (link) out += element('link', null, link) + '\n';
+  if (item.guid) {
+    out += element('guid', { isPermaLink: item.permalink && item.permalink === item.guid ? 'true' : 'false' }, item.guid) + '\n';
+  }
+  if (isDate(item.pubdate || item.date)) out += element('pubDate', null, (item.pubdate || item.date).toUTCString()) + '\n';
+  if (item.author) out += element('dc:creator', null, item.author) + '\n';
+  if (item.comments) out += element('comments', null, absolute(baseurl, item.comments)) + '\n';
+  (item.categories || []).forEach(function (category) {
+    out += element('category', null, category) + '\n';
+  });
+  (item.enclosures || []).forEach(function (enclosure) {
+    if (!enclosure.url) return;
+    out += element('enclosure', { url: absolute(baseurl, enclosure.url), type: enclosure.type, length: enclosure.length || '0' }) + '\n';
+  });
+  if (item.summary || item.description) out += element('description', null, item.summary || item.description) + '\n';
+  if (item.description && item.description !== item.summary) out += element('content:encoded', null, item.description) + '\n';
+  if (item.source && item.source.url) out += element('source', { url: absolute(baseurl, item.source.url) }, item.source.title || '') + '\n';
+  return out + '</item>\n';
+}
+
+function atomHead (meta, baseurl) {
+  var out = '<?xml version="1.0" encoding="utf-8"?>\n'
+    , updated = meta.date || meta.pubdate
+    ;
+  out += '<feed xmlns="http://www.w3.org/2005/Atom"' + (meta.language ? ' xml:lang="' + escape(meta.language) + '"' : '') + '>\n';
+  out += element('title', { type: 'text' }, meta.title || '') + '\n';
+  if (meta.description) out += element('subtitle', { type: 'text' }, meta.description) + '\n';
+  if (meta.link) out += element('link', { rel: 'alternate', type: 'text/html', href: absolute(baseurl, meta.link) }) + '\n';
+  if (meta.xmlurl) out += element('link', { rel: 'self', type: 'application/atom+xml', href: absolute(baseurl, meta.xmlurl) }) + '\n';
+  if (meta.cloud && meta.cloud.type === 'hub' && meta.cloud.href) out += element('link', { rel: 'hub', href: meta.cloud.href }) + '\n';
+  out += element('id', null, absolute(baseurl, meta.xmlurl || meta.link) || 'urn:feedparser:' + encodeURIComponent(meta.title || '')) + '\n';
+  out += element('updated', null, (isDate(updated) ? updated : new Date()).toISOString()) + '\n';
+  if (meta.author) out += '<author>' + element('name', null, meta.author) + '</author>\n';
+  if (meta.generator) out += element('generator', null, meta.generator) + '\n';
+  if (meta.copyright) out += element('rights', null, meta.copyright) + '\n';
+  if (meta.favicon) out += element('icon', null, absolute(baseurl, meta.favicon)) + '\n';
+  if (meta.image && meta.image.url) out += element('logo', null, absolute(baseurl, meta.image.url)) + '\n';
+  (meta.categories || []).forEach(function (category) {
+    out += element('category', { term: category }) + '\n';
+  });
+  return out;
+}
+
+function atomEntry (item, baseurl) {
+  var out = '<entry>\n'
+    , link = absolute(baseurl, item.link)
+    , updated = item.date || item.pubdate
+    ;
+  out += element('title', { type: 'text' }, item.title || '') + '\n';
+  if (link) out += element('link', { rel: 'alternate', type: 'text/html', href: link }) + '\n';
+  if (item.origlink) out += element('link', { rel: 'canonical', href: absolute(baseurl, item.origlink) }) + '\n';
+  if (item.comments) out += element('link', { rel: 'replies', type: 'text/html', href: absolute(baseurl, item.comments) }) + '\n';
+  (item.enclosures || []).forEach(function (enclosure) {
+    if (!enclosure.url) return;
+    out += element('link', { rel: 'enclosure', href: absolute(baseurl, enclosure.url), type: enclosure.type, length: enclosure.length }) + '\n';
+  });
+  out += element('id', null, item.guid || link || 'urn:feedparser:' + encodeURIComponent(item.title || '')) + '\n';
+  out += element('updated', null, (isDate(updated) ? updated : new Date()).toISOString()) + '\n';
+  if (isDate(item.pubdate)) out += element('published', null, item.pubdate.toISOString()) + '\n';
+  if (item.author) out += '<author>' + element('name', null, item.author) + '</author>\n';
+  (item.categories || []).forEach(function (category) {
+    out += element('category', { term: category }) + '\n';
+  });
+  if (item.summary) out += element('summary', { type: 'html' }, item.summary) + '\n';
+  if (item.description && item.description !== item.summary) out += element('content', { type: 'html' }, item.description) + '\n';
+  if (item.source && item.source.url) {
+    out += '<source>' +
+      (item.source.title ? element('title', null, item.source.title) : '') +
+      element('link', { rel: 'self', href: absolute(baseurl, item.source.url) }) +
+      '</source>\n';
+  }
+  return out + '</entry>\n';
+}
+
+exports = module.exports = FeedWriter;
@@ -0,0 +1,64 @@
+describe('authors and contributors', function(){
+
+  describe('Atom person constructs', function () {
+
+    var feed = __dirname + '/feeds/authors.atom';
+
+    it('should keep every author and contributor', function (done) {
+      parseFile(feed, function (err, meta, items) {
+        if (err) return done(err);
+        assert.deepEqual(meta.authors, [{ name: 'John Doe', email: 'johndoe@example.com', uri: 'http://example.com/~johndoe' }]);
+        assert.deepEqual(items[0].authors, [
+          { name: 'Mark Pilgrim', email: 'f8dy@example.com', uri: 'http://example.org/' },
+          { name: 'Sam Ruby', email: null, uri: null }
+        ]);
+        assert.deepEqual(items[0].contributors, [
+          { name: 'Joe Gregorio', email: null, uri: null },
+          { name: 'Sam Ruby', email: null, uri: null }
+        ]);
+        assert.equal(items[0].author, 'Mark Pilgrim');
+        done();
+      });
+    });
+
+    it('should inherit the feed authors', function (done) {
+      parseFile(feed, function (err, meta, items) {
+        if (err) return done(err);
+        assert.deepEqual(items[1].authors, meta.authors);
+        assert.deepEqual(items[1].contributors, []);
+        assert.equal(items[1].author, 'John Doe');
+        done();
+      });
+    });
+
+  });
+
+  describe('RSS authors', function () {
+
+    var feed = __dirname + '/feeds/authors.xml';
+
+    it('should parse email addresses', function (done) {
+      parseFile(feed, function (err, meta, items) {
+        if (err) return done(err);
+        assert.deepEqual(meta.authors, [{ name: 'Ed Itor', email: 'editor@example.com', uri: null }]);
+        assert.deepEqual(items[0].authors, [{ name: 'Jane Doe', email: 'jane@example.com', uri: null }]);
+        assert.equal(items[0].author, 'Jane Doe');
+        done();
+      });
+    });
+
+    it('should keep multiple dc:creator elements', function (done) {
+      parseFile(feed, function (err, meta, items) {
+        if (err) return done(err);
+        assert.deepEqual(items[1].authors, [
+          { name: 'Smith, John', email: null, uri: null },
+          { name: 'Alice Jones', email: null, uri: null }
+        ]);
+        assert.deepEqual(items[1].contributors, [{ name: 'Bob Brown', email: null, uri: null }]);
+        done();
+      });
+    });
+
+  });
+
+});
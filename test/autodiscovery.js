@@ -0,0 +1,27 @@
+describe('autodiscovery', function(){
+
+  var page = __dirname + '/feeds/autodiscovery.html';
+
+  it('should report the feeds a web page links to', function (done) {
+    parseFile(page, { feedurl: 'http://example.com/blog/' }, function (err) {
+      assert.ok(err instanceof Error);
+      assert.equal(err.message, 'Not a feed, but found links to feeds');
+      assert.deepEqual(err.feeds, [
+        { url: 'http://example.com/feed.rss', title: 'My Blog (RSS)', type: 'application/rss+xml' },
+        { url: 'http://example.com/atom.xml', title: 'My Blog (Atom)', type: 'application/atom+xml' },
+        { url: 'http://example.com/blog/feed.json', title: null, type: 'application/feed+json' },
+        { url: 'http://example.com/legacy.json', title: 'My Blog (JSON)', type: 'application/json' },
+        { url: 'http://example.com/comments/feed/', title: 'comments', type: null }
+      ]);
+      done();
+    });
+  });
+
+  it('should leave relative links alone without a feedurl', function (done) {
+    parseFile(page, function (err) {
+      assert.equal(err.feeds[0].url, '/feed.rss');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,126 @@
+describe('command-line tool', function(){
+
+  var execFile = require('child_process').execFile
+    , http = require('http')
+    , bin = __dirname + '/../bin/feedparser.js'
+    , feed = __dirname + '/feeds/rss2sample.xml'
+    ;
+
+  function run (args, input, done) {
+    if (typeof input === 'function') {
+      done = input;
+      input = null;
+    }
+    var child = execFile(process.execPath, [bin].concat(args), function (err, stdout, stderr) {
+      done(err ? err.code : 0, stdout, stderr);
+    });
+    child.stdin.end(input);
+  }
+
+  it('should print each item as a line of JSON by default', function (done) {
+    run([feed], function (code, stdout) {
+      var lines = stdout.trim().split('\n');
+      assert.equal(code, 0);
+      assert.equal(lines.length, 4);
+      assert.equal(JSON.parse(lines[0]).title, 'Star City');
+      done();
+    });
+  });
+
+  it('should read stdin', function (done) {
+    run(['--limit', '1', '--fields', 'title,meta.title'], fs.readFileSync(feed), function (code, stdout) {
+      assert.equal(code, 0);
+      assert.deepEqual(JSON.parse(stdout), { 'title': 'Star City', 'meta.title': 'Liftoff News' });
+      done();
+    });
+  });
+
+  it('should print JSON with the meta once', function (done) {
+    run(['-f', 'json', '-n', '2', feed], function (code, stdout) {
+      var output = JSON.parse(stdout);
+      assert.equal(code, 0);
+      assert.equal(output.meta.title, 'Liftoff News');
+      assert.equal(output.items.length, 2);
+      assert.ok(!('meta' in output.items[0]));
+      done();
+    });
+  });
+
+  it('should print CSV with a header row', function (done) {
+    run(['--format=csv', '--fields=title,date', '--limit=2', feed], function (code, stdout) {
+      assert.equal(code, 0);
+      assert.equal(stdout, 'title,date\r\nStar City,2003-06-03T09:39:21.000Z\r\n,2003-05-30T11:06:42.000Z\r\n');
+      done();
+    });
+  });
+
+  it('should print the meta of each feed as a table', function (done) {
+    run(['-f', 'table', '--meta', '--fields', 'title,language', feed, 'file://' + __dirname + '/feeds/threading.atom'], function (code, stdout) {
+      var lines = stdout.split('\n');
+      assert.equal(code, 0);
+      assert.equal(lines[0], 'title                 language');
+      assert.equal(lines[1], '--------------------  --------');
+      assert.equal(lines[2], 'Liftoff News          en-us');
+      assert.equal(lines[3], 'Comments on My Entry');
+      done();
+    });
+  });
+
+  it('should fetch urls, resolving against --feedurl', function (done) {
+    var server = http.createServer(function (req, res) {
+      res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+      fs.createReadStream(__dirname + '/feeds/intertwingly.atom').pipe(res);
+    });
+    server.listen(0, '127.0.0.1', function () {
+      var url = 'http://127.0.0.1:' + server.address().port + '/index.atom';
+      run(['-f', 'ndjson', '-m', '--fields', 'title,xmlurl', url], function (code, stdout) {
+        server.close();
+        assert.equal(code, 0);
+        assert.equal(JSON.parse(stdout).title, 'Sam Ruby');
+        done();
+      });
+    });
+  });
+
+  it('should exit with 2 when an input is not a feed', function (done) {
+    run([feed, __dirname + '/feeds/notafeed.html'], function (code, stdout, stderr) {
+      assert.equal(code, 2);
+      assert.equal(stdout.trim().split('\n').length, 4);
+      assert.ok(/notafeed\.html: Not a feed/.test(stderr));
+      done();
+    });
+  });
+
+  it('should exit with 3 when it recovered from errors', function (done) {
+    var xml = '<rss version="2.0"><channel><title>Fish & Chips</title><item><title>Cod</title></item></channel></rss>';
+    run(['--strict', '--fields', 'title'], xml, function (code, stdout, stderr) {
+      assert.equal(code, 3);
+      assert.equal(stdout, '{"title":"Cod"}\n');
+      assert.ok(/stdin: warning: /.test(stderr));
+      done();
+    });
+  });
+
+  it('should not normalize with --no-normalize', function (done) {
+    run(['--no-normalize', '-n', '1', feed], function (code, stdout) {
+      var item = JSON.parse(stdout);
+      assert.equal(code, 0);
+      assert.equal(item['rss:title']['#'], 'Star City');
+      assert.ok(!('title' in item));
+      done();
+    });
+  });
+
+  it('should exit with 1 for bad arguments or unreadable inputs', function (done) {
+    run(['--format', 'yaml', feed], function (code, stdout, stderr) {
+      assert.equal(code, 1);
+      assert.ok(/Unknown format: yaml/.test(stderr));
+      run([__dirname + '/feeds/missing.xml'], function (code, stdout, stderr) {
+        assert.equal(code, 1);
+        assert.ok(/ENOENT/.test(stderr));
+        done();
+      });
+    });
+  });
+
+});
@@ -1,4 +1,37 @@
-/*global assert:true, FeedParser:true, fs:true*/
+/*global assert:true, FeedParser:true, fs:true, parseFile:true*/
 assert = require('assert');
 fs = require('fs');
 FeedParser = require('../');
+
+/*
+ * Parse a feed file, calling back once with (err, meta, items, parser)
+ */
+parseFile = function (file, options, done) {
+  if (typeof options === 'function') {
+    done = options;
+    options = {};
+  }
+  var parser = new FeedParser(options)
+    , finished = false
+    , meta
+    , items = [];
+  function finish (err) {
+    if (finished) return;
+    finished = true;
+    done(err || null, meta, items, parser);
+  }
+  fs.createReadStream(file).pipe(parser)
+    .on('error', finish)
+    .on('meta', function (_meta) {
+      meta = _meta;
+    })
+    .on('readable', function () {
+      var item;
+      while (item = this.read()) {
+        items.push(item);
+      }
+    })
+    .on('end', function () {
+      finish();
+    });
+};
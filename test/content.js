@@ -0,0 +1,86 @@
+describe('item.content', function(){
+
+  function atom (entries) {
+    return '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en"><title>Contents</title><id>urn:feed</id>' +
+      entries.map(function (entry, i) {
+        return '<entry><id>urn:' + i + '</id><title>' + i + '</title>' + entry + '</entry>';
+      }).join('') + '</feed>';
+  }
+
+  it('should keep the type and language of Atom content', function (done) {
+    var xml = atom([
+      '<summary>Short</summary><content type="xhtml" xml:lang="fr"><div xmlns="http://www.w3.org/1999/xhtml"><p>Bonjour <b>monde</b></p></div></content>',
+      '<content type="html">&lt;p&gt;Hello&lt;/p&gt;</content>',
+      '<content>1 &lt; 2</content>',
+      '<summary>Only a summary</summary>'
+    ]);
+    FeedParser.parseString(xml).then(function (result) {
+      var items = result.items;
+      assert.deepEqual(items[0].content, {
+        type: 'xhtml',
+        value: '<div xmlns="http://www.w3.org/1999/xhtml"><p>Bonjour <b>monde</b></p></div>',
+        src: null,
+        lang: 'fr'
+      });
+      assert.equal(items[0].summary, 'Short');
+      assert.deepEqual(items[1].content, { type: 'html', value: '<p>Hello</p>', src: null, lang: 'en' });
+      assert.deepEqual(items[2].content, { type: 'text', value: '1 < 2', src: null, lang: 'en' });
+      assert.strictEqual(items[3].content, null);
+      assert.equal(items[3].summary, 'Only a summary');
+      done();
+    }).catch(done);
+  });
+
+  it('should represent out-of-line content', function (done) {
+    var xml = atom(['<content type="video/mp4" src="media/1.mp4"/>']);
+    FeedParser.parseString(xml, { feedurl: 'http://example.com/feed.atom' }).then(function (result) {
+      assert.deepEqual(result.items[0].content, { type: 'video/mp4', value: null, src: 'http://example.com/media/1.mp4', lang: 'en' });
+      done();
+    }).catch(done);
+  });
+
+  it('should prefer content:encoded to the description of RSS items', function (done) {
+    var xml = '<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/"><channel><title>t</title>' +
+      '<link>http://example.com/</link><description>d</description><language>en-us</language>' +
+      '<item><title>a</title><description>A teaser</description><content:encoded><![CDATA[<p>The <em>whole</em> story</p>]]></content:encoded></item>' +
+      '<item><title>b</title><description>&lt;p&gt;Just this&lt;/p&gt;</description></item>' +
+      '</channel></rss>';
+    FeedParser.parseString(xml).then(function (result) {
+      var items = result.items;
+      assert.deepEqual(items[0].content, { type: 'html', value: '<p>The <em>whole</em> story</p>', src: null, lang: 'en-us' });
+      assert.equal(items[0].summary, 'A teaser');
+      assert.deepEqual(items[1].content, { type: 'html', value: '<p>Just this</p>', src: null, lang: 'en-us' });
+      done();
+    }).catch(done);
+  });
+
+  it('should use the content_html or content_text of JSON Feed items', function (done) {
+    var json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'J',
+      language: 'en',
+      items: [
+        { id: '1', content_html: '<p>Hi</p>', content_text: 'Hi', summary: 'Hello' },
+        { id: '2', content_text: 'Plain', language: 'de' }
+      ]
+    });
+    FeedParser.parseString(json).then(function (result) {
+      assert.deepEqual(result.items[0].content, { type: 'html', value: '<p>Hi</p>', src: null, lang: 'en' });
+      assert.deepEqual(result.items[1].content, { type: 'text', value: 'Plain', src: null, lang: 'de' });
+      done();
+    }).catch(done);
+  });
+
+  it('should sanitize HTML content, but not text', function (done) {
+    var xml = atom([
+      '<content type="html">&lt;p onclick="evil()"&gt;Hi&lt;script&gt;evil()&lt;/script&gt;&lt;/p&gt;</content>',
+      '<content>&lt;script&gt; is a tag</content>'
+    ]);
+    FeedParser.parseString(xml, { sanitize: true }).then(function (result) {
+      assert.equal(result.items[0].content.value, '<p>Hi</p>');
+      assert.equal(result.items[1].content.value, '<script> is a tag');
+      done();
+    }).catch(done);
+  });
+
+});
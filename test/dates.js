@@ -0,0 +1,50 @@
+describe('dates', function(){
+
+  var feed = __dirname + '/feeds/dates.xml';
+
+  it('should understand time zone abbreviations and localized names', function (done) {
+    parseFile(feed, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta.pubdate.toISOString(), '2018-10-03T08:00:00.000Z');
+      assert.equal(meta.date.toISOString(), '2018-10-03T14:30:00.000Z');
+      done();
+    });
+  });
+
+  it('should understand offsets, two-digit years and W3C-DTF fragments', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].pubdate.toISOString(), '2018-10-03T04:30:00.000Z');
+      assert.equal(items[1].pubdate.toISOString(), '2003-06-10T09:41:01.000Z');
+      assert.equal(items[2].date.toISOString(), '2003-12-01T00:00:00.000Z');
+      assert.equal(items[3].pubdate.toISOString(), '2019-02-05T07:00:00.000Z');
+      assert.equal(items[5].pubdate.toISOString(), '2018-10-03T04:30:00.000Z');
+      done();
+    });
+  });
+
+  it('should keep the original text of each date', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(meta['#raw-pubdate'], 'Mi, 03 Okt 2018 10:00:00 MESZ');
+      assert.equal(meta['#raw-date'], 'Wed, 03 Oct 2018 10:30:00 EDT');
+      assert.equal(items[1]['#raw-date'], 'Tue, 10 Jun 03 09:41:01 GMT');
+      assert.equal(items[4]['#raw-pubdate'], 'sometime last week');
+      done();
+    });
+  });
+
+  it('should record a warning instead of returning an invalid date', function (done) {
+    parseFile(feed, function (err, meta, items, parser) {
+      if (err) return done(err);
+      assert.strictEqual(items[4].pubdate, null);
+      assert.strictEqual(items[4].date, null);
+      assert.equal(parser.warnings.length, 1);
+      assert.ok(parser.warnings[0] instanceof Error);
+      assert.equal(parser.warnings[0].element, 'pubdate');
+      assert.equal(parser.warnings[0].value, 'sometime last week');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,109 @@
+describe('character encoding', function(){
+
+  var iconv = require('iconv-lite');
+
+  function parse (buffer, options, done) {
+    var meta
+      , items = []
+      , feedparser = new FeedParser(options);
+    feedparser
+      .on('error', done)
+      .on('meta', function (_meta) {
+        meta = _meta;
+      })
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          items.push(item);
+        }
+      })
+      .on('end', function () {
+        done(null, meta, items);
+      });
+    // Write a byte at a time to be sure we handle split characters
+    for (var i = 0; i < buffer.length; i++) {
+      feedparser.write(buffer.slice(i, i + 1));
+    }
+    feedparser.end();
+  }
+
+  var xml = '<rss version="2.0"><channel><title>Café – ☕</title><item><title>Über</title></item></channel></rss>';
+
+  it('should use the encoding from the XML declaration', function (done) {
+    fs.createReadStream(__dirname + '/feeds/iconv.xml').pipe(new FeedParser())
+      .on('meta', function (meta) {
+        assert.equal(meta['#encoding'], 'windows-1251');
+        assert.equal(meta.title, 'Новости Оренбурга и области / Раздел Новости');
+        done();
+      })
+      .on('error', function (err) {
+        assert.ifError(err);
+        done(err);
+      });
+  });
+
+  it('should default to utf-8', function (done) {
+    parse(new Buffer(xml), {}, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(meta['#encoding'], 'utf-8');
+      assert.equal(meta.title, 'Café – ☕');
+      assert.equal(items[0].title, 'Über');
+      done();
+    });
+  });
+
+  it('should honor a byte order mark', function (done) {
+    var buffer = Buffer.concat([new Buffer([0xFF, 0xFE]), iconv.encode('<?xml version="1.0" encoding="utf-16"?>' + xml, 'utf-16le')]);
+    parse(buffer, {}, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(meta['#encoding'], 'utf-16le');
+      assert.equal(meta.title, 'Café – ☕');
+      assert.equal(items[0].title, 'Über');
+      done();
+    });
+  });
+
+  it('should prefer the XML declaration to the charset option', function (done) {
+    var buffer = iconv.encode('<?xml version="1.0" encoding="windows-1251"?><rss version="2.0"><channel><title>Новости</title></channel></rss>', 'windows-1251');
+    parse(buffer, { charset: 'utf-8' }, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta['#encoding'], 'windows-1251');
+      assert.equal(meta.title, 'Новости');
+      done();
+    });
+  });
+
+  it('should use the charset option when there is no XML declaration', function (done) {
+    var buffer = iconv.encode('<rss version="2.0"><channel><title>Café</title></channel></rss>', 'iso-8859-1');
+    parse(buffer, { charset: 'ISO-8859-1' }, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta['#encoding'], 'iso-8859-1');
+      assert.equal(meta.title, 'Café');
+      done();
+    });
+  });
+
+  it('should take Strings as already decoded', function (done) {
+    var feedparser = new FeedParser({ charset: 'iso-8859-1' });
+    feedparser.on('error', done)
+      .on('meta', function (meta) {
+        assert.equal(meta['#encoding'], 'utf-8');
+        assert.equal(meta.title, 'Новости');
+        done();
+      })
+      .on('readable', function () {
+        while (this.read()) continue;
+      });
+    feedparser.end('<?xml version="1.0" encoding="windows-1251"?><rss version="2.0"><channel><title>Новости</title></channel></rss>');
+  });
+
+  it('should ignore an unknown charset option', function (done) {
+    parse(new Buffer(xml), { charset: 'x-unknown' }, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta['#encoding'], 'utf-8');
+      assert.equal(meta.title, 'Café – ☕');
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,102 @@
+describe('extensions', function(){
+
+  var feed = __dirname + '/feeds/extensions.xml';
+
+  var acme;
+
+  before(function () {
+    acme = FeedParser.registerExtension({
+      uri: 'http://example.com/ns/acme',
+      prefix: 'acme',
+      meta: function (node, meta) {
+        var publisher = node['acme:publisher'];
+        meta.publisher = publisher ? { id: publisher['@'].id, name: publisher['#'] } : null;
+      },
+      item: function (node, item, meta) {
+        item.rating = node['acme:rating'] ? Number(node['acme:rating']['#']) : null;
+        item.publisher = meta.publisher;
+      }
+    });
+  });
+
+  after(function () {
+    FeedParser.unregisterExtension(acme);
+  });
+
+  var weather = {
+    uri: 'http://example.com/ns/weather',
+    prefix: 'weather',
+    item: function (node, item) {
+      item.forecast = node['weather:forecast'] ? node['weather:forecast']['#'] : null;
+    }
+  };
+
+  it('should run registered extensions, using their prefix', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(meta.publisher, { id: '42', name: 'ACME' });
+      assert.ok(meta['acme:publisher']);
+      assert.strictEqual(items[0].rating, 4);
+      assert.deepEqual(items[0].publisher, { id: '42', name: 'ACME' });
+      done();
+    });
+  });
+
+  it('should run extensions given as an option only for that parser', function (done) {
+    parseFile(feed, { extensions: [weather] }, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].forecast, 'sunny');
+      assert.ok(items[0]['weather:forecast']);
+      parseFile(feed, function (err, meta, items) {
+        if (err) return done(err);
+        assert.strictEqual(items[0].forecast, undefined);
+        assert.ok(items[0]['w:forecast']);
+        done();
+      });
+    });
+  });
+
+  it('should not run extensions without normalizing', function (done) {
+    parseFile(feed, { normalize: false }, function (err, meta, items) {
+      if (err) return done(err);
+      assert.strictEqual(meta.publisher, undefined);
+      assert.strictEqual(items[0].rating, undefined);
+      done();
+    });
+  });
+
+  it('should stop running unregistered extensions', function (done) {
+    var extension = {
+      uri: 'http://example.com/ns/weather',
+      prefix: 'weather',
+      item: function (node, item) {
+        item.forecast = node['weather:forecast']['#'];
+      }
+    };
+    FeedParser.registerExtension(extension);
+    assert.strictEqual(FeedParser.unregisterExtension(extension), true);
+    assert.strictEqual(FeedParser.unregisterExtension(extension), false);
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.strictEqual(items[0].forecast, undefined);
+      assert.ok(items[0]['w:forecast']);
+      done();
+    });
+  });
+
+  it('should reject invalid extensions', function () {
+    assert.throws(function () {
+      FeedParser.registerExtension({ prefix: 'nouri' });
+    }, /Invalid extension uri/);
+    assert.throws(function () {
+      FeedParser.registerExtension({ uri: 'http://example.com/ns/bad', prefix: 'bad', item: 'not a function' });
+    }, /Invalid extension item handler/);
+    assert.throws(function () {
+      FeedParser.registerExtension({ uri: 'http://search.yahoo.com/mrss/', prefix: 'mrss' });
+    }, /already has the prefix media/);
+    assert.throws(function () {
+      new FeedParser({ extensions: [{ uri: 'http://www.itunes.com/dtds/podcast-1.0.dtd', prefix: 'apple' }] });
+    }, /already has the prefix itunes/);
+  });
+
+});
@@ -0,0 +1,173 @@
+describe('fetch', function(){
+
+  var http = require('http')
+    , zlib = require('zlib')
+    , server
+    , base;
+
+  before(function (done) {
+    server = http.createServer(function (req, res) {
+      switch (req.url) {
+      case '/redirect':
+        res.writeHead(301, { 'Location': '/blog/index.atom' });
+        return res.end();
+      case '/redirect-loop':
+        res.writeHead(302, { 'Location': '/redirect-loop' });
+        return res.end();
+      case '/blog/index.atom':
+        res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+        return fs.createReadStream(__dirname + '/feeds/intertwingly.atom').pipe(res);
+      case '/compressed.xml':
+        // Already gzipped, and declares the same encoding as the header
+        res.writeHead(200, { 'Content-Type': 'text/xml; charset=Windows-1251', 'Content-Encoding': 'gzip' });
+        return fs.createReadStream(__dirname + '/feeds/compressed.xml').pipe(res);
+      case '/mislabeled.xml':
+        // Declares windows-1251, but the header says utf-8
+        res.writeHead(200, { 'Content-Type': 'text/xml; charset=utf-8' });
+        return fs.createReadStream(__dirname + '/feeds/iconv.xml').pipe(res);
+      case '/undeclared.xml':
+        // Declares no encoding, so only the header says it's ISO-8859-1
+        res.writeHead(200, { 'Content-Type': 'text/xml; charset=ISO-8859-1' });
+        return fs.createReadStream(__dirname + '/feeds/undeclared-latin1.xml').pipe(res);
+      case '/deflated.xml':
+        res.writeHead(200, { 'Content-Type': 'text/xml', 'Content-Encoding': 'deflate' });
+        return fs.createReadStream(__dirname + '/feeds/rss2sample.xml').pipe(zlib.createDeflate()).pipe(res);
+      case '/conditional.xml':
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.writeHead(304, { 'ETag': '"v1"' });
+          return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'text/xml', 'ETag': '"v1"', 'Last-Modified': 'Tue, 10 Jun 2003 09:41:01 GMT' });
+        return fs.createReadStream(__dirname + '/feeds/rss2sample.xml').pipe(res);
+      case '/slow.xml':
+        return setTimeout(function () {
+          res.end();
+        }, 500);
+      default:
+        res.writeHead(404);
+        return res.end();
+      }
+    });
+    server.listen(0, '127.0.0.1', function () {
+      base = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  function collect (parser, done) {
+    var result = { items: [] };
+    parser
+      .on('error', function (err) {
+        result.error = err;
+        done(result);
+      })
+      .on('response', function (response) {
+        result.response = response;
+      })
+      .on('meta', function (meta) {
+        result.meta = meta;
+      })
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          result.items.push(item);
+        }
+      })
+      .on('end', function () {
+        if (!result.error) done(result);
+      });
+  }
+
+  it('should follow redirects and use the final url as the base url', function (done) {
+    collect(FeedParser.fetch(base + '/redirect'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.response.url, base + '/blog/index.atom');
+      assert.equal(result.meta.link, base + '/blog/');
+      assert.ok(result.items.length);
+      done();
+    });
+  });
+
+  it('should give up on redirect loops', function (done) {
+    collect(FeedParser.fetch(base + '/redirect-loop', { maxRedirects: 2 }), function (result) {
+      assert.ok(result.error instanceof Error);
+      assert.equal(result.error.message, 'Too many redirects');
+      done();
+    });
+  });
+
+  it('should decompress gzip and decode the feed', function (done) {
+    collect(FeedParser.fetch(base + '/compressed.xml'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.meta['#encoding'], 'windows-1251');
+      assert.equal(result.meta.title, 'Новости Оренбурга и области / Раздел Новости');
+      done();
+    });
+  });
+
+  it('should prefer the encoding the feed declares to the header', function (done) {
+    collect(FeedParser.fetch(base + '/mislabeled.xml'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.meta['#encoding'], 'windows-1251');
+      assert.equal(result.meta.title, 'Новости Оренбурга и области / Раздел Новости');
+      done();
+    });
+  });
+
+  it('should use the header charset when the feed declares no encoding', function (done) {
+    collect(FeedParser.fetch(base + '/undeclared.xml'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.meta['#encoding'], 'iso-8859-1');
+      assert.equal(result.meta.title, 'Café crème');
+      done();
+    });
+  });
+
+  it('should decompress deflate', function (done) {
+    collect(FeedParser.fetch(base + '/deflated.xml'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.items.length, 4);
+      done();
+    });
+  });
+
+  it('should make conditional requests', function (done) {
+    collect(FeedParser.fetch(base + '/conditional.xml'), function (result) {
+      assert.ifError(result.error);
+      assert.equal(result.response.etag, '"v1"');
+      assert.equal(result.response.lastModified, 'Tue, 10 Jun 2003 09:41:01 GMT');
+      var notModified;
+      var parser = FeedParser.fetch(base + '/conditional.xml', { etag: result.response.etag });
+      parser.on('notmodified', function (response) {
+        notModified = response;
+      });
+      collect(parser, function (result) {
+        assert.ifError(result.error);
+        assert.equal(notModified.status, 304);
+        assert.equal(result.items.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('should emit an error for a bad status code', function (done) {
+    collect(FeedParser.fetch(base + '/missing.xml'), function (result) {
+      assert.ok(result.error instanceof Error);
+      assert.equal(result.error.status, 404);
+      done();
+    });
+  });
+
+  it('should time out', function (done) {
+    collect(FeedParser.fetch(base + '/slow.xml', { timeout: 50 }), function (result) {
+      assert.ok(result.error instanceof Error);
+      assert.equal(result.error.message, 'Request timed out');
+      done();
+    });
+  });
+
+});
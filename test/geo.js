@@ -0,0 +1,66 @@
+describe('locations', function(){
+
+  var feed = __dirname + '/feeds/georss.xml';
+
+  it('should convert a georss:box to a Polygon with a bbox', function (done) {
+    parseFile(feed, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta.location.type, 'Feature');
+      assert.deepEqual(meta.location.geometry.bbox, [-71.032, 42.943, -69.856, 43.039]);
+      assert.deepEqual(meta.location.geometry.coordinates[0][0], [-71.032, 42.943]);
+      assert.deepEqual(meta.location.geometry.coordinates[0][2], [-69.856, 43.039]);
+      done();
+    });
+  });
+
+  it('should convert a georss:point with its properties', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(items[0].location, {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-71.92, 45.256] },
+        properties: { featureName: 'Mount Washington', featureTypeTag: 'mountain', elevation: 1917, radius: 500 }
+      });
+      done();
+    });
+  });
+
+  it('should collect several geometries and close polygons', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      var geometry = items[1].location.geometry;
+      assert.equal(geometry.type, 'GeometryCollection');
+      assert.equal(geometry.geometries[0].type, 'LineString');
+      assert.equal(geometry.geometries[0].coordinates.length, 3);
+      assert.equal(geometry.geometries[1].type, 'Polygon');
+      assert.deepEqual(geometry.geometries[1].coordinates[0][3], [-110.45, 45.256]);
+      done();
+    });
+  });
+
+  it('should convert GML in georss:where', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[2].location.geometry.type, 'Polygon');
+      assert.deepEqual(items[2].location.geometry.coordinates[0], [[-110.45, 45.256], [-109.48, 46.46], [-109.86, 43.84], [-110.45, 45.256]]);
+      done();
+    });
+  });
+
+  it('should convert W3C geo:lat and geo:long', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(items[3].location.geometry, { type: 'Point', coordinates: [12.552, 55.701] });
+      done();
+    });
+  });
+
+  it('should ignore invalid coordinates', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.strictEqual(items[4].location, null);
+      done();
+    });
+  });
+
+});
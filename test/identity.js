@@ -0,0 +1,104 @@
+describe('item ids', function(){
+
+  function rss (items) {
+    return '<rss version="2.0"><channel><title>T</title><link>http://example.com/</link><description>D</description>' +
+      items.join('') + '</channel></rss>';
+  }
+
+  var xml = rss([
+    '<item><title>A</title><guid>a</guid></item>',
+    '<item><title>A again</title><guid>a</guid><description>More</description><category>x</category></item>',
+    '<item><title>B</title><link>https://Example.com:443/b?utm_source=rss&amp;p=1#top</link></item>',
+    '<item><title>B</title><link>http://example.com/b?p=1</link></item>',
+    '<item><title>C</title><pubDate>Tue, 10 Jun 2003 09:41:01 GMT</pubDate><description>c</description></item>'
+  ]);
+
+  function ids (items) {
+    return items.map(function (item) {
+      return item.id;
+    });
+  }
+
+  it('should give each item a hash for an id', function () {
+    return FeedParser.parseString(fs.readFileSync(__dirname + '/feeds/rss2sample.xml', 'utf8')).then(function (feed) {
+      feed.items.forEach(function (item) {
+        assert.ok(/^[0-9a-f]{40}$/.test(item.id));
+      });
+      assert.equal(feed.items.length, 4);
+      assert.equal(ids(feed.items).filter(function (id, i, all) { return all.indexOf(id) === i; }).length, 4);
+    });
+  });
+
+  it('should give items with the same guid, normalized link or content the same id', function () {
+    return FeedParser.parseString(xml).then(function (feed) {
+      var items = feed.items;
+      assert.equal(items.length, 5);
+      assert.equal(items[0].id, items[1].id);
+      assert.equal(items[2].id, items[3].id);
+      assert.notEqual(items[0].id, items[2].id);
+      assert.notEqual(items[2].id, items[4].id);
+    });
+  });
+
+  it('should be stable across parses, whatever the rest of the feed', function () {
+    var first;
+    return FeedParser.parseString(xml).then(function (feed) {
+      first = ids(feed.items);
+      return FeedParser.parseString(rss([
+        '<item><title>C</title><pubDate>Tue, 10 Jun 2003 09:41:01 GMT</pubDate><description>c</description></item>',
+        '<item><title>A, edited</title><guid>a</guid></item>'
+      ]));
+    }).then(function (feed) {
+      assert.deepEqual(ids(feed.items), [first[4], first[0]]);
+    });
+  });
+
+  it('should prefer the guid to a link made up from it', function () {
+    var atom = '<feed xmlns="http://www.w3.org/2005/Atom"><title>T</title>' +
+      '<entry><title>A</title><link href="http://example.com/a"/></entry>' +
+      '<entry><title>A</title><link href="http://example.com/a"/><id>tag:example.com,2003:a</id></entry>' +
+      '</feed>';
+    return FeedParser.parseString(atom).then(function (feed) {
+      assert.equal(feed.items[0].guid, 'http://example.com/a');
+      assert.notEqual(feed.items[0].id, feed.items[1].id);
+    });
+  });
+
+  it('should give JSON Feed items ids, too', function () {
+    var json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'T',
+      items: [{ id: '1', content_text: 'One' }, { id: '1', content_text: 'Again' }]
+    });
+    return FeedParser.parseString(json).then(function (feed) {
+      assert.ok(/^[0-9a-f]{40}$/.test(feed.items[0].id));
+      assert.equal(feed.items[0].id, feed.items[1].id);
+    });
+  });
+
+  describe('duplicates option', function () {
+
+    it('should keep duplicates by default', function () {
+      return FeedParser.parseString(xml).then(function (feed) {
+        assert.equal(feed.items.length, 5);
+      });
+    });
+
+    it('should drop duplicates', function () {
+      return FeedParser.parseString(xml, { duplicates: 'drop' }).then(function (feed) {
+        assert.deepEqual(feed.items.map(function (item) { return item.title; }), ['A', 'B', 'C']);
+        assert.strictEqual(feed.items[0].description, null);
+      });
+    });
+
+    it('should merge duplicates into the first', function () {
+      return FeedParser.parseString(xml, { duplicates: 'merge' }).then(function (feed) {
+        assert.deepEqual(feed.items.map(function (item) { return item.title; }), ['A', 'B', 'C']);
+        assert.equal(feed.items[0].description, 'More');
+        assert.deepEqual(feed.items[0].categories, ['x']);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,51 @@
+describe('iTunes', function(){
+
+  var feed = __dirname + '/feeds/itunes.xml';
+
+  it('should normalize the channel elements into meta.itunes', function (done) {
+    parseFile(feed, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta.itunes.type, 'serial');
+      assert.deepEqual(meta.itunes.owner, { name: 'Sky Trails', email: 'skytrails@example.com' });
+      assert.equal(meta.itunes.image, 'https://applehosted.podcasts/hiking/artwork.jpg');
+      assert.deepEqual(meta.itunes.categories, [
+        { text: 'Sports', categories: [{ text: 'Wilderness', categories: [] }] },
+        { text: 'Leisure', categories: [{ text: 'Hobbies', categories: [] }, { text: 'Outdoors', categories: [] }] }
+      ]);
+      assert.strictEqual(meta.itunes.explicit, false);
+      assert.strictEqual(meta.itunes.complete, true);
+      assert.equal(meta.itunes.newFeedUrl, 'https://example.com/hiking.xml');
+      done();
+    });
+  });
+
+  it('should fall back to the iTunes elements for the generic properties', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(meta.description, 'Love to get outdoors and discover nature\'s treasures?');
+      assert.equal(meta.author, 'Sky Trails');
+      assert.equal(meta.image.url, 'https://applehosted.podcasts/hiking/artwork.jpg');
+      assert.equal(items[0].author, 'Sky Trails');
+      assert.equal(items[1].author, 'Guest Host');
+      done();
+    });
+  });
+
+  it('should normalize the item elements into item.itunes', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(items[0].itunes, {
+        episodeType: 'trailer',
+        duration: 3725,
+        explicit: true,
+        season: 1,
+        episode: 0,
+        block: true
+      });
+      assert.strictEqual(items[1].itunes.duration, 750);
+      assert.strictEqual(items[2].itunes.duration, 1024);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,132 @@
+describe('JSON Feed', function(){
+
+  var feed = __dirname + '/feeds/jsonfeed.json';
+
+  it('should parse the feed meta', function (done) {
+    fs.createReadStream(feed).pipe(new FeedParser())
+      .on('meta', function (meta) {
+        assert.equal(meta['#type'], 'json');
+        assert.equal(meta['#version'], '1.1');
+        assert.equal(meta.title, 'My Example Feed');
+        assert.equal(meta.description, 'A sample JSON Feed');
+        assert.equal(meta.link, 'https://example.org/');
+        assert.equal(meta.xmlurl, 'https://example.org/feed.json');
+        assert.equal(meta.author, 'Jane Doe');
+        assert.equal(meta.language, 'en-US');
+        assert.equal(meta.image.url, 'https://example.org/icon.png');
+        assert.deepEqual(meta.cloud, { type: 'hub', href: 'https://hub.example.org/' });
+        done();
+      })
+      .on('error', function (err) {
+        assert.ifError(err);
+        done(err);
+      });
+  });
+
+  it('should parse the items', function (done) {
+    var items = [];
+    fs.createReadStream(feed).pipe(new FeedParser())
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          items.push(item);
+        }
+      })
+      .on('error', function (err) {
+        assert.ifError(err);
+        done(err);
+      })
+      .on('end', function () {
+        assert.equal(items.length, 2);
+        assert.equal(items[0].guid, '2');
+        assert.equal(items[0].title, null);
+        assert.equal(items[0].description, 'This is a second item.');
+        assert.equal(items[0].author, 'Jane Doe');
+        assert.deepEqual(items[0].categories, ['Sample', 'Second']);
+        assert.equal(items[0].date.toISOString(), '2017-05-17T17:00:00.000Z');
+        assert.equal(items[1].guid, '1');
+        assert.equal(items[1].title, 'Hello, world!');
+        assert.equal(items[1].description, '<p>Hello, world!</p>');
+        assert.equal(items[1].summary, 'A greeting');
+        assert.equal(items[1].link, 'https://example.org/first-item');
+        assert.equal(items[1].author, 'John Roe');
+        assert.equal(items[1].pubdate.toISOString(), '2017-05-16T15:00:00.000Z');
+        assert.equal(items[1].date.toISOString(), '2017-05-16T16:00:00.000Z');
+        assert.deepEqual(items[1].enclosures, [{
+          url: 'https://example.org/first-item.mp3',
+          type: 'audio/mpeg',
+          length: '12345',
+          duration: '60'
+        }]);
+        assert.strictEqual(items[1].meta['#type'], 'json');
+        done();
+      });
+  });
+
+  it('should emit "Not a feed" for other JSON', function (done) {
+    var error;
+    var feedparser = new FeedParser();
+    feedparser.on('error', function (err) {
+      error = err;
+    })
+    .on('finish', function () {
+      assert.ok(error instanceof Error);
+      assert.equal(error.message, 'Not a feed');
+      done();
+    });
+    feedparser.end('{ "foo": "bar" }');
+  });
+
+  it('should tolerate text properties that aren\'t Strings', function (done) {
+    var json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 42,
+      description: {},
+      language: ['en'],
+      authors: [{ name: 7, url: {} }],
+      items: [
+        { id: {}, title: [], content_html: {}, content_text: 'Plain', summary: [], image: 1 },
+        { id: 2, title: 3, content_html: 4, attachments: [{ url: {} }, { url: '/a.mp3', mime_type: {} }] }
+      ]
+    });
+    FeedParser.parseString(json, { feedurl: 'http://example.com/feed.json' }).then(function (result) {
+      var items = result.items;
+      assert.equal(result.meta.title, '42');
+      assert.strictEqual(result.meta.description, null);
+      assert.strictEqual(result.meta.language, null);
+      assert.equal(result.meta.author, '7');
+      assert.strictEqual(items[0].guid, null);
+      assert.strictEqual(items[0].title, null);
+      assert.equal(items[0].description, 'Plain');
+      assert.deepEqual(items[0].content, { type: 'text', value: 'Plain', src: null, lang: null });
+      assert.strictEqual(items[0].summary, null);
+      assert.strictEqual(items[0].image.url, undefined);
+      assert.equal(items[1].guid, '2');
+      assert.equal(items[1].title, '3');
+      assert.deepEqual(items[1].content, { type: 'html', value: '4', src: null, lang: null });
+      assert.equal(items[1].enclosures.length, 1);
+      assert.equal(items[1].enclosures[0].url, 'http://example.com/a.mp3');
+      assert.strictEqual(items[1].enclosures[0].type, null);
+      done();
+    }).catch(done);
+  });
+
+  it('should skip items that aren\'t Objects, and warn about dates that aren\'t Strings', function (done) {
+    var json = JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title: 'J',
+      items: [null, 5, { id: '1', date_published: 1494950400, date_modified: '2017-05-16T16:00:00Z' }]
+    });
+    FeedParser.parseString(json).then(function (result) {
+      assert.equal(result.items.length, 1);
+      assert.equal(result.items[0].guid, '1');
+      assert.strictEqual(result.items[0].pubdate, null);
+      assert.equal(result.items[0].date.toISOString(), '2017-05-16T16:00:00.000Z');
+      assert.equal(result.warnings.length, 1);
+      assert.equal(result.warnings[0].element, 'date_published');
+      assert.strictEqual(result.warnings[0].value, 1494950400);
+      done();
+    }).catch(done);
+  });
+
+});
@@ -0,0 +1,55 @@
+describe('Media RSS', function(){
+
+  var feed = __dirname + '/feeds/media-rss.xml';
+
+  it('should parse channel-level elements into meta.media', function (done) {
+    parseFile(feed, function (err, meta) {
+      if (err) return done(err);
+      assert.deepEqual(meta.media.ratings, [{ value: 'pg', scheme: 'urn:mpaa' }]);
+      assert.deepEqual(meta.media.credits, [{ value: 'Example Studios', role: 'producer', scheme: 'urn:ebu' }]);
+      assert.deepEqual(meta.media.contents, []);
+      done();
+    });
+  });
+
+  it('should parse item-level elements and groups into item.media', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      var media = items[0].media;
+      assert.deepEqual(media.title, { value: 'Video One, The Movie', type: 'plain' });
+      assert.deepEqual(media.keywords, ['kitty', 'cat', 'big dog', 'yarn', 'fluffy']);
+      assert.deepEqual(media.player, { url: 'http://example.com/player?id=1', width: 400, height: 200 });
+      assert.deepEqual(media.restrictions, [{ value: 'au us', relationship: 'allow', type: 'country' }]);
+      assert.strictEqual(media.contents.length, 0);
+      assert.strictEqual(media.groups.length, 1);
+      assert.deepEqual(media.groups[0].description, { value: '<b>Two</b> renditions', type: 'html' });
+      assert.deepEqual(media.groups[0].thumbnails, [{ url: 'http://example.com/videos/1.jpg', width: 75, height: 50, time: '12:05:01.123' }]);
+      assert.strictEqual(media.groups[0].contents.length, 2);
+      assert.strictEqual(items[1].media, null);
+      done();
+    });
+  });
+
+  it('should let media:content inherit from its group, item and channel', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      var contents = items[0].media.groups[0].contents;
+      assert.equal(contents[0].url, 'http://example.com/videos/1-hi.mp4');
+      assert.strictEqual(contents[0].isDefault, true);
+      assert.strictEqual(contents[0].fileSize, 123456789);
+      assert.strictEqual(contents[0].bitrate, 1500);
+      assert.strictEqual(contents[0].duration, 185);
+      assert.equal(contents[0].lang, 'en');
+      assert.equal(contents[0].title.value, 'Video One, The Movie');
+      assert.equal(contents[0].description.value, '<b>Two</b> renditions');
+      assert.equal(contents[0].thumbnails[0].url, 'http://example.com/videos/1.jpg');
+      assert.deepEqual(contents[0].ratings, [{ value: 'pg', scheme: 'urn:mpaa' }]);
+      assert.equal(contents[0].credits[0].value, 'Example Studios');
+      assert.strictEqual(contents[1].isDefault, false);
+      assert.equal(contents[1].title.value, 'Video One (low quality)');
+      assert.deepEqual(contents[1].ratings, [{ value: 'g', scheme: 'urn:mpaa' }]);
+      done();
+    });
+  });
+
+});
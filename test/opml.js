@@ -0,0 +1,148 @@
+describe('OPML', function(){
+
+  var opml = __dirname + '/feeds/subscriptions.opml';
+
+  function parse (stream, options, done) {
+    if (typeof options === 'function') {
+      done = options;
+      options = {};
+    }
+    var head
+      , outlines = [];
+    stream.pipe(new FeedParser.OpmlParser(options))
+      .on('error', done)
+      .on('head', function (_head) {
+        head = _head;
+      })
+      .on('readable', function () {
+        var outline;
+        while (outline = this.read()) {
+          outlines.push(outline);
+        }
+      })
+      .on('end', function () {
+        done(null, head, outlines);
+      });
+  }
+
+  function stringStream (str) {
+    var stream = new (require('stream').PassThrough)();
+    stream.end(str);
+    return stream;
+  }
+
+  describe('OpmlParser', function () {
+
+    it('should emit the head', function (done) {
+      parse(fs.createReadStream(opml), function (err, head) {
+        if (err) return done(err);
+        assert.equal(head.title, 'mySubscriptions.opml');
+        assert.equal(head.dateCreated.toISOString(), '2005-06-18T12:11:52.000Z');
+        assert.equal(head.ownerName, 'Dave Winer');
+        assert.equal(head.ownerEmail, 'dave@scripting.com');
+        assert.equal(head['#version'], '2.0');
+        assert.equal(head['#encoding'], 'iso-8859-1');
+        done();
+      });
+    });
+
+    it('should emit each subscription with its folders', function (done) {
+      parse(fs.createReadStream(opml), function (err, head, outlines) {
+        if (err) return done(err);
+        assert.equal(outlines.length, 3);
+        assert.equal(outlines[0].title, 'CNET News.com');
+        assert.equal(outlines[0].xmlUrl, 'http://news.com.com/2547-1_3-0-5.xml');
+        assert.equal(outlines[0].htmlUrl, 'http://news.com.com/');
+        assert.equal(outlines[0].type, 'rss');
+        assert.equal(outlines[0].version, 'RSS2');
+        assert.deepEqual(outlines[0].folders, []);
+        assert.deepEqual(outlines[1].folders, ['News']);
+        assert.deepEqual(outlines[1].categories, ['/Politics', '/Boston/Weather']);
+        assert.equal(outlines[2].title, 'Café Boston');
+        assert.deepEqual(outlines[2].folders, ['News', 'Local']);
+        done();
+      });
+    });
+
+    it('should understand mixed-case names in strict mode', function (done) {
+      parse(fs.createReadStream(opml), { strict: true }, function (err, head, outlines) {
+        if (err) return done(err);
+        assert.equal(head.dateCreated.toISOString(), '2005-06-18T12:11:52.000Z');
+        assert.equal(outlines.length, 3);
+        assert.equal(outlines[0].xmlUrl, 'http://news.com.com/2547-1_3-0-5.xml');
+        assert.equal(outlines[0].htmlUrl, 'http://news.com.com/');
+        assert.equal(outlines[0]['@'].xmlurl, 'http://news.com.com/2547-1_3-0-5.xml');
+        assert.deepEqual(outlines[2].folders, ['News', 'Local']);
+        done();
+      });
+    });
+
+    it('should emit an error if it is not OPML', function (done) {
+      fs.createReadStream(__dirname + '/feeds/rss2sample.xml').pipe(new FeedParser.OpmlParser())
+        .on('error', function (err) {
+          assert.equal(err.message, 'Not an OPML document');
+          done();
+        })
+        .resume();
+    });
+
+  });
+
+  describe('OpmlWriter', function () {
+
+    it('should write a subscription list from feed metas', function () {
+      var out = FeedParser.OpmlWriter.serialize([
+        { title: 'A & B', xmlurl: 'http://example.com/a.xml', link: 'http://example.com/', description: 'Letters' },
+        { title: 'No url', xmlurl: null }
+      ], { title: 'My Feeds', ownerName: 'Me' });
+      assert.equal(out, [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<opml version="2.0">',
+        '<head>',
+        '<title>My Feeds</title>',
+        '<ownerName>Me</ownerName>',
+        '</head>',
+        '<body>',
+        '  <outline type="rss" text="A &amp; B" title="A &amp; B" xmlUrl="http://example.com/a.xml" htmlUrl="http://example.com/" description="Letters"/>',
+        '</body>',
+        '</opml>',
+        ''
+      ].join('\n'));
+    });
+
+    it('should write the metas emitted by FeedParser', function (done) {
+      var meta;
+      fs.createReadStream(__dirname + '/feeds/rss2sample.xml').pipe(new FeedParser())
+        .on('error', done)
+        .on('meta', function (_meta) {
+          meta = _meta;
+        })
+        .resume()
+        .on('end', function () {
+          meta.xmlurl = 'http://example.com/rss2sample.xml';
+          parse(stringStream(FeedParser.OpmlWriter.serialize([meta])), function (err, head, outlines) {
+            if (err) return done(err);
+            assert.equal(outlines.length, 1);
+            assert.equal(outlines[0].title, meta.title);
+            assert.equal(outlines[0].xmlUrl, 'http://example.com/rss2sample.xml');
+            assert.equal(outlines[0].htmlUrl, meta.link);
+            done();
+          });
+        });
+    });
+
+    it('should round-trip the folders of a subscription list', function (done) {
+      parse(fs.createReadStream(opml), function (err, head, outlines) {
+        if (err) return done(err);
+        parse(stringStream(FeedParser.OpmlWriter.serialize(outlines)), function (err, head, again) {
+          if (err) return done(err);
+          assert.deepEqual(again.map(function (outline) { return [outline.title, outline.xmlUrl, outline.folders]; }),
+            outlines.map(function (outline) { return [outline.title, outline.xmlUrl, outline.folders]; }));
+          done();
+        });
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,163 @@
+describe('paging', function(){
+
+  function atom (links, entries, extra) {
+    return '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:fh="http://purl.org/syndication/history/1.0">' +
+      '<title>Archived</title><id>urn:feed</id><updated>2024-01-03T00:00:00Z</updated>' + (extra || '') +
+      Object.keys(links).map(function (rel) {
+        return '<link rel="' + rel + '" href="' + links[rel] + '"/>';
+      }).join('') +
+      entries.map(function (id) {
+        return '<entry><id>urn:' + id + '</id><title>' + id + '</title><updated>2024-01-01T00:00:00Z</updated></entry>';
+      }).join('') +
+      '</feed>';
+  }
+
+  function collect (stream, done) {
+    var items = []
+      , error = null;
+    stream.on('error', function (err) {
+      error = err;
+    })
+    .on('readable', function () {
+      var item;
+      while (item = this.read()) {
+        items.push(item);
+      }
+    })
+    .on('end', function () {
+      done(error, items);
+    });
+  }
+
+  describe('meta.paging', function () {
+
+    it('should have the RFC 5005 links and markers', function (done) {
+      var xml = atom({
+        'self': 'http://example.com/2.atom',
+        'prev-archive': '1.atom',
+        'next-archive': 'http://example.com/3.atom',
+        'current': 'http://example.com/feed.atom',
+        'http://www.iana.org/assignments/relation/next': 'http://example.com/page/2',
+        'prev': 'http://example.com/page/0'
+      }, [], '<fh:archive/>');
+      FeedParser.parseString(xml).then(function (result) {
+        assert.deepEqual(result.meta.paging, {
+          first: null,
+          last: null,
+          previous: 'http://example.com/page/0',
+          next: 'http://example.com/page/2',
+          current: 'http://example.com/feed.atom',
+          prevArchive: 'http://example.com/1.atom',
+          nextArchive: 'http://example.com/3.atom',
+          complete: false,
+          archive: true
+        });
+        done();
+      }).catch(done);
+    });
+
+    it('should have the atom:link relations of RSS feeds, and fh:complete', function (done) {
+      var xml = '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:history="http://purl.org/syndication/history/1.0">' +
+        '<channel><title>Paged</title><link>http://example.com/</link><description>d</description>' +
+        '<atom:link rel="next" href="http://example.com/rss?page=2"/><history:complete/></channel></rss>';
+      FeedParser.parseString(xml).then(function (result) {
+        assert.equal(result.meta.paging.next, 'http://example.com/rss?page=2');
+        assert.equal(result.meta.paging.complete, true);
+        done();
+      }).catch(done);
+    });
+
+    it('should have the next_url of a JSON Feed', function (done) {
+      var json = JSON.stringify({ version: 'https://jsonfeed.org/version/1.1', title: 'J', feed_url: 'http://example.com/feed.json', next_url: 'feed.json?page=2', items: [] });
+      FeedParser.parseString(json).then(function (result) {
+        assert.equal(result.meta.paging.next, 'http://example.com/feed.json?page=2');
+        assert.equal(result.meta.paging.prevArchive, null);
+        done();
+      }).catch(done);
+    });
+
+  });
+
+  describe('FeedParser.walk', function () {
+
+    it('should follow prev-archive links, dropping duplicates', function (done) {
+      var documents = {
+          'http://example.com/feed.atom': atom({ 'prev-archive': '/archive/2.atom' }, ['e', 'd']),
+          'http://example.com/archive/2.atom': atom({ 'prev-archive': '1.atom', 'current': '/feed.atom' }, ['d', 'c'], '<fh:archive/>'),
+          'http://example.com/archive/1.atom': atom({ 'current': '/feed.atom' }, ['b', 'a'], '<fh:archive/>')
+        }
+        , loaded = []
+        , walker;
+      walker = FeedParser.walk('http://example.com/feed.atom', {
+        load: function (url, callback) {
+          loaded.push(url);
+          callback(null, url === 'http://example.com/archive/2.atom' ? new Buffer(documents[url]) : documents[url]);
+        }
+      });
+      collect(walker, function (err, items) {
+        assert.ifError(err);
+        assert.deepEqual(loaded, Object.keys(documents));
+        assert.deepEqual(items.map(function (item) { return item.title; }), ['e', 'd', 'c', 'b', 'a']);
+        done();
+      });
+    });
+
+    it('should follow next links, stopping at complete feeds, loops and maxPages', function (done) {
+      var loaded = [];
+      function load (url, callback) {
+        loaded.push(url);
+        var page = Number(url.slice(-1));
+        callback(null, atom({ 'next': 'http://example.com/' + (page === 3 ? 1 : page + 1) }, ['p' + page], page === 5 ? '<fh:complete/>' : ''));
+      }
+      collect(FeedParser.walk('http://example.com/1', { load: load }), function (err, items) {
+        assert.ifError(err);
+        assert.equal(items.length, 3);
+        loaded = [];
+        collect(FeedParser.walk('http://example.com/5', { load: load }), function (err, items) {
+          assert.ifError(err);
+          assert.deepEqual(loaded, ['http://example.com/5']);
+          assert.equal(items.length, 1);
+          loaded = [];
+          collect(FeedParser.walk('http://example.com/1', { load: load, maxPages: 2 }), function (err, items) {
+            assert.ifError(err);
+            assert.equal(items.length, 2);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should walk streams and parsers, and emit errors', function (done) {
+      var PassThrough = require('stream').PassThrough
+        , urls = []
+        , walker;
+      walker = FeedParser.walk('http://example.com/feed.atom', {
+        load: function (url, callback) {
+          var doc;
+          if (url === 'http://example.com/feed.atom') {
+            doc = new PassThrough();
+            callback(null, doc);
+            doc.end(atom({ 'next': '/page/2' }, ['a']));
+          } else if (url === 'http://example.com/page/2') {
+            doc = new FeedParser({ feedurl: url });
+            callback(null, doc);
+            doc.end(atom({ 'next': '/page/3' }, ['b']));
+          } else {
+            callback(new Error('Gone'));
+          }
+        }
+      });
+      walker.on('meta', function (meta, url) {
+        urls.push(url);
+      });
+      collect(walker, function (err, items) {
+        assert.equal(err.message, 'Gone');
+        assert.deepEqual(urls, ['http://example.com/feed.atom', 'http://example.com/page/2']);
+        assert.equal(items.length, 2);
+        done();
+      });
+    });
+
+  });
+
+});
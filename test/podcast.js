@@ -0,0 +1,53 @@
+describe('Podcasting 2.0', function(){
+
+  var feed = __dirname + '/feeds/podcast-namespace.xml';
+
+  it('should normalize the channel elements into meta.podcast', function (done) {
+    parseFile(feed, function (err, meta) {
+      if (err) return done(err);
+      assert.equal(meta.podcast.guid, '917393e3-1b1e-5cef-ace4-edaa54e1f810');
+      assert.deepEqual(meta.podcast.locked, { value: true, owner: 'owner@example.com' });
+      assert.deepEqual(meta.podcast.funding, [{ url: 'https://example.com/donate', message: 'Support the show!' }]);
+      assert.deepEqual(meta.podcast.persons, [{ name: 'Alice', role: 'host', group: 'cast', img: 'https://example.com/images/alice.jpg', href: 'https://example.com/alice' }]);
+      assert.deepEqual(meta.podcast.location, { name: 'Austin, TX', geo: 'geo:30.2672,97.7431', osm: 'R113314' });
+      assert.equal(meta.podcast.value.type, 'lightning');
+      assert.strictEqual(meta.podcast.value.suggested, 0.00000005);
+      assert.strictEqual(meta.podcast.value.recipients.length, 2);
+      assert.strictEqual(meta.podcast.value.recipients[0].split, 90);
+      assert.strictEqual(meta.podcast.value.recipients[1].fee, true);
+      done();
+    });
+  });
+
+  it('should normalize the item elements into item.podcast', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      var podcast = items[0].podcast;
+      assert.deepEqual(podcast.transcripts, [
+        { url: 'https://example.com/episode1/transcript.srt', type: 'application/srt', language: 'en', rel: 'captions' },
+        { url: 'https://example.com/episode1/transcript.html', type: 'text/html', language: null, rel: null }
+      ]);
+      assert.deepEqual(podcast.chapters, { url: 'https://example.com/episode1/chapters.json', type: 'application/json+chapters' });
+      assert.deepEqual(podcast.soundbites, [{ startTime: 73, duration: 60, title: 'Why the Podcast Namespace Matters' }]);
+      assert.equal(podcast.persons[0].role, 'guest');
+      assert.strictEqual(podcast.alternateEnclosures.length, 2);
+      assert.strictEqual(podcast.alternateEnclosures[0].default, true);
+      assert.strictEqual(podcast.alternateEnclosures[0].sources.length, 2);
+      assert.equal(podcast.alternateEnclosures[1].integrity.type, 'sri');
+      done();
+    });
+  });
+
+  it('should merge alternate enclosure sources into the enclosures', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(items[0].enclosures, [
+        { url: 'https://example.com/episode1.mp3', type: 'audio/mpeg', length: '24986239' },
+        { url: 'ipfs://QmdwGqd3d2gFPGeJNLLCshdiPert45fMu84552Y4XHTy4y', type: 'audio/mpeg', length: '24986239' },
+        { url: 'https://example.com/episode1.opus', type: 'audio/opus', length: '5989815' }
+      ]);
+      done();
+    });
+  });
+
+});
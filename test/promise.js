@@ -0,0 +1,118 @@
+/*global Symbol*/
+describe('promises', function(){
+
+  var feed = __dirname + '/feeds/rss2sample.xml';
+
+  // An unescaped ampersand is a SAX error in strict mode
+  var malformed = '<?xml version="1.0"?><rss version="2.0"><channel><title>Fish & Chips</title>' +
+    '<item><title>Cod</title><guid>cod</guid></item>' +
+    '<item><title>Haddock</title><guid>haddock</guid></item>' +
+    '</channel></rss>';
+
+  describe('parseString', function () {
+
+    it('should resolve with the meta, items and warnings', function () {
+      return FeedParser.parseString(fs.readFileSync(feed, 'utf8')).then(function (feed) {
+        assert.equal(feed.meta.title, 'Liftoff News');
+        assert.equal(feed.items.length, 4);
+        assert.equal(feed.items[0].title, 'Star City');
+        assert.strictEqual(feed.items[0].meta, feed.meta);
+        assert.deepEqual(feed.warnings, []);
+      });
+    });
+
+    it('should ignore the declared encoding', function () {
+      var xml = '<?xml version="1.0" encoding="iso-8859-1"?><rss version="2.0"><channel><title>Café</title></channel></rss>';
+      return FeedParser.parseString(xml).then(function (feed) {
+        assert.equal(feed.meta.title, 'Café');
+        assert.equal(feed.meta['#encoding'], 'utf-8');
+      });
+    });
+
+    it('should reject when it is not a feed', function () {
+      return FeedParser.parseString(fs.readFileSync(__dirname + '/feeds/notafeed.html', 'utf8')).then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        assert.equal(err.message, 'Not a feed');
+      });
+    });
+
+    it('should resolve with recovered SAX errors as warnings', function () {
+      return FeedParser.parseString(malformed, { strict: true }).then(function (feed) {
+        assert.equal(feed.items.length, 2);
+        assert.ok(feed.warnings.length > 0);
+        assert.ok(feed.warnings[0] instanceof Error);
+      });
+    });
+
+    it('should reject on SAX errors when not resuming', function () {
+      return FeedParser.parseString(malformed, { strict: true, resume_saxerror: false }).then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        assert.ok(err instanceof Error);
+      });
+    });
+
+  });
+
+  describe('parseBuffer', function () {
+
+    it('should resolve with the meta and items', function () {
+      return FeedParser.parseBuffer(fs.readFileSync(feed)).then(function (feed) {
+        assert.equal(feed.meta.title, 'Liftoff News');
+        assert.equal(feed.items.length, 4);
+      });
+    });
+
+  });
+
+  if (typeof Symbol !== 'function' || !Symbol.asyncIterator) return;
+
+  describe('async iteration', function () {
+
+    function collect (iterator, items) {
+      return iterator.next().then(function (result) {
+        if (result.done) return items;
+        items.push(result.value);
+        return collect(iterator, items);
+      });
+    }
+
+    it('should yield each item, then be done', function () {
+      var feedparser = new FeedParser();
+      fs.createReadStream(feed).pipe(feedparser);
+      return collect(feedparser[Symbol.asyncIterator](), []).then(function (items) {
+        assert.equal(items.length, 4);
+        assert.equal(items[0].title, 'Star City');
+        assert.equal(feedparser.meta.title, 'Liftoff News');
+      });
+    });
+
+    it('should reject when it is not a feed', function () {
+      var feedparser = new FeedParser();
+      fs.createReadStream(__dirname + '/feeds/notafeed.html').pipe(feedparser);
+      return collect(feedparser[Symbol.asyncIterator](), []).then(function () {
+        throw new Error('Expected a rejection');
+      }, function (err) {
+        assert.equal(err.message, 'Not a feed');
+      });
+    });
+
+    it('should stop early on return()', function () {
+      var feedparser = new FeedParser()
+        , iterator = feedparser[Symbol.asyncIterator]();
+      fs.createReadStream(feed).pipe(feedparser);
+      return iterator.next().then(function (result) {
+        assert.equal(result.value.title, 'Star City');
+        return iterator.return();
+      }).then(function (result) {
+        assert.ok(result.done);
+        return iterator.next();
+      }).then(function (result) {
+        assert.ok(result.done);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,192 @@
+describe('RssCloudSubscriber', function(){
+
+  var http = require('http')
+    , querystring = require('querystring')
+    , url = 'http://example.com/rss.xml'
+    ;
+
+  // A stand-in cloud server that records the registrations and answers with
+  // the given response body, or with what the response function returns for
+  // each
+  function cloud (response, done) {
+    var server = http.createServer(function (req, res) {
+      var body = '';
+      req.setEncoding('utf8');
+      req.on('data', function (chunk) { body += chunk; });
+      req.on('end', function () {
+        server.requests.push({ path: req.url, type: req.headers['content-type'], body: body });
+        res.writeHead(200, { 'Content-Type': 'text/xml' });
+        res.end(typeof response === 'function' ? response(server.requests.length) : response);
+      });
+    });
+    server.requests = [];
+    server.listen(0, '127.0.0.1', function () {
+      done(server);
+    });
+  }
+
+  // Call the subscriber, as the cloud server would
+  function notify (path, type, body, done) {
+    var req = http.request({ method: body === null ? 'GET' : 'POST', hostname: '127.0.0.1', port: subscriber.port, path: path, headers: { 'Content-Type': type } });
+    req.on('response', function (res) {
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) { text += chunk; });
+      res.on('end', function () { done(res.statusCode, text); });
+    });
+    req.end(body);
+  }
+
+  function meta (protocol) {
+    return {
+      cloud: { type: 'rsscloud', domain: '127.0.0.1', port: String(server.address().port), path: '/RPC2', registerprocedure: 'rssPleaseNotify', protocol: protocol },
+      xmlurl: url
+    };
+  }
+
+  var subscriber, server;
+
+  afterEach(function (done) {
+    server.close();
+    subscriber.close(function () { done(); });
+  });
+
+  function setup (options, response, done) {
+    cloud(response, function (s) {
+      server = s;
+      subscriber = new FeedParser.RssCloudSubscriber(options);
+      subscriber.listen(done);
+    });
+  }
+
+  it('should register over http-post and emit notifications', function (done) {
+    setup({ path: '/notify', domain: 'example.org' }, '<notifyResult success="true" msg="Thanks for the registration."/>', function () {
+      subscriber.register(meta('http-post'), function (err) {
+        assert.ifError(err);
+        var request = server.requests[0]
+          , params = querystring.parse(request.body);
+        assert.equal(request.path, '/RPC2');
+        assert.equal(request.type, 'application/x-www-form-urlencoded');
+        assert.deepEqual(params, { notifyProcedure: '', port: String(subscriber.port), path: '/notify', protocol: 'http-post', url1: url, domain: 'example.org' });
+        notify('/notify?' + querystring.stringify({ url: url, challenge: 'xyz' }), 'text/plain', null, function (status, text) {
+          assert.equal(status, 200);
+          assert.equal(text, 'xyz');
+          subscriber.on('notify', function (u) {
+            assert.equal(u, url);
+            done();
+          });
+          notify('/notify', 'application/x-www-form-urlencoded', querystring.stringify({ url: url }), function (status) {
+            assert.equal(status, 200);
+          });
+        });
+      });
+    });
+  });
+
+  it('should register over XML-RPC and answer notifications', function (done) {
+    var response = '<?xml version="1.0"?><methodResponse><params><param><value><boolean>1</boolean></value></param></params></methodResponse>';
+    setup({}, response, function () {
+      subscriber.register(meta('xml-rpc'), function (err) {
+        assert.ifError(err);
+        var body = server.requests[0].body;
+        assert.ok(/<methodName>rssPleaseNotify<\/methodName>/.test(body));
+        assert.ok(/<string>rssCloud.notify<\/string>/.test(body));
+        assert.ok(/<i4>\d+<\/i4>/.test(body));
+        assert.ok(/<array><data><value><string>http:\/\/example.com\/rss.xml<\/string><\/value><\/data><\/array>/.test(body));
+        var notified = false;
+        subscriber.on('notify', function (u) {
+          assert.equal(u, url);
+          notified = true;
+        });
+        notify('/', 'text/xml', '<?xml version="1.0"?><methodCall><methodName>rssCloud.notify</methodName><params><param><value>' + url + '</value></param></params></methodCall>', function (status, text) {
+          assert.equal(status, 200);
+          assert.ok(/<boolean>1<\/boolean>/.test(text));
+          assert.ok(notified);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should ignore notifications for feeds it did not register', function (done) {
+    setup({}, '<notifyResult success="true"/>', function () {
+      subscriber.on('notify', function () {
+        done(new Error('Should not notify'));
+      });
+      notify('/', 'application/x-www-form-urlencoded', querystring.stringify({ url: url }), function (status) {
+        assert.equal(status, 404);
+        done();
+      });
+    });
+  });
+
+  it('should report feeds it cannot register', function (done) {
+    setup({}, '<notifyResult success="false" msg="The subscriber could not be reached."/>', function () {
+      subscriber.register({ cloud: {}, xmlurl: url }, function (err) {
+        assert.equal(err.message, 'The feed has no rssCloud');
+        subscriber.register(meta('soap'), function (err) {
+          assert.equal(err.message, 'Unsupported rssCloud protocol: soap');
+          subscriber.register(meta('http-post'), function (err) {
+            assert.equal(err.message, 'The rssCloud server refused to register: The subscriber could not be reached.');
+            assert.equal(err.url, url);
+            assert.deepEqual(subscriber.feeds, {});
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should register the rssCloud of a parsed feed', function (done) {
+    setup({}, '<notifyResult success="true"/>', function () {
+      var xml = '<rss version="2.0"><channel><title>Cloudy</title><link>http://example.com/</link><description>d</description>' +
+        '<cloud domain="127.0.0.1" port="' + server.address().port + '" path="/RPC2" registerProcedure="rssPleaseNotify" protocol="http-post" />' +
+        '</channel></rss>';
+      FeedParser.parseString(xml, { feedurl: url }).then(function (result) {
+        subscriber.register(result.meta, function (err) {
+          assert.ifError(err);
+          assert.equal(querystring.parse(server.requests[0].body).url1, url);
+          assert.ok(subscriber.feeds[url]);
+          done();
+        });
+      }).catch(done);
+    });
+  });
+
+  it('should retry a failed renewal', function (done) {
+    setup({ interval: 50, retryDelay: 20 }, function (n) {
+      return n === 2 ? '<notifyResult success="false" msg="Busy"/>' : '<notifyResult success="true"/>';
+    }, function () {
+      var warnings = []
+        , registrations = 0;
+      subscriber.on('warning', function (err) {
+        warnings.push(err);
+      });
+      subscriber.on('register', function () {
+        if (++registrations < 2) return;
+        assert.equal(server.requests.length, 3);
+        assert.equal(warnings.length, 1);
+        assert.equal(warnings[0].url, url);
+        assert.ok(subscriber.feeds[url]);
+        done();
+      });
+      subscriber.register(meta('http-post'));
+    });
+  });
+
+  it('should refuse notifications larger than maxBodySize', function (done) {
+    setup({ maxBodySize: 64 }, '<notifyResult success="true"/>', function () {
+      subscriber.register(meta('http-post'), function (err) {
+        assert.ifError(err);
+        subscriber.on('notify', function () {
+          done(new Error('Should not have notified'));
+        });
+        notify('/', 'application/x-www-form-urlencoded', querystring.stringify({ url: url, padding: new Array(100).join('x') }), function (status) {
+          assert.equal(status, 413);
+          done();
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,58 @@
+describe('sanitize', function(){
+
+  var feed = __dirname + '/feeds/unsafe-html.atom';
+
+  it('should leave the HTML alone by default', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.ok(~items[0].summary.indexOf('<script>'));
+      done();
+    });
+  });
+
+  it('should clean escaped HTML', function (done) {
+    parseFile(feed, { sanitize: true }, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].summary, '<p>Hello <b>world</b></p>');
+      assert.equal(items[0].description,
+        '<div><a title="Click">link</a> <a href="http://example.com/">safe</a><img alt="pixel">kept a &lt; b<em>unclosed</em></div>');
+      done();
+    });
+  });
+
+  it('should clean XHTML content', function (done) {
+    parseFile(feed, { sanitize: true }, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[1].description,
+        '<div><p>1 &lt; 2 &amp;&amp; &lt;script&gt;not a tag&lt;/script&gt;</p><a>x</a></div>');
+      done();
+    });
+  });
+
+  it('should leave XHTML content unescaped by default', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.ok(~items[1].description.indexOf('<p>1 < 2 && <script>not a tag</script></p>'));
+      assert.ok(~items[1].description.indexOf('<a href="JaVaScRiPt:alert(1)" onmouseover="alert(2)">x</a>'));
+      done();
+    });
+  });
+
+  it('should use a custom allowlist', function (done) {
+    parseFile(feed, { sanitize: { tags: ['a', 'blink'], attributes: { a: ['href', 'target'] } } }, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].description,
+        '<a>link</a> <a href="http://example.com/" target="_blank">safe</a><blink>kept</blink> a &lt; bunclosed');
+      done();
+    });
+  });
+
+  it('should be exposed as FeedParser.sanitize', function () {
+    assert.equal(FeedParser.sanitize('<img src="x.png" onerror="alert(1)"><br/>&nbsp;&'), '<img src="x.png"><br>&nbsp;&amp;');
+    assert.equal(FeedParser.sanitize('<a href="java\nscript:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(FeedParser.sanitize('<a href="\u0001java\u0085script:alert(1)">x</a>'), '<a>x</a>');
+    assert.equal(FeedParser.sanitize('<a href="/relative">x</a>'), '<a href="/relative">x</a>');
+    assert.equal(FeedParser.sanitize('<a title=\'say "hi"\'>x</a>'), '<a title="say &quot;hi&quot;">x</a>');
+  });
+
+});
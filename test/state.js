@@ -0,0 +1,160 @@
+describe('polling state', function(){
+
+  var os = require('os')
+    , path = require('path')
+    , xml = fs.readFileSync(__dirname + '/feeds/rss2sample.xml', 'utf8');
+
+  function statuses (items) {
+    return items.map(function (item) {
+      return item.status;
+    });
+  }
+
+  // A copy, as it would be if it had been saved and loaded
+  function copy (state) {
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  it('should not mark items without the state option', function () {
+    return FeedParser.parseString(xml).then(function (feed) {
+      assert.ok(!('status' in feed.items[0]));
+      assert.strictEqual(feed.state, null);
+    });
+  });
+
+  it('should find every item new on the first run', function (done) {
+    var feedparser = new FeedParser({ state: true })
+      , items = []
+      , emitted;
+    feedparser.on('error', done)
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          items.push(item);
+        }
+      })
+      .on('state', function (state) {
+        emitted = state;
+      })
+      .on('end', function () {
+        assert.deepEqual(statuses(items), ['new', 'new', 'new', 'new']);
+        assert.strictEqual(this.state, emitted);
+        assert.deepEqual(Object.keys(this.state.items), items.map(function (item) { return item.id; }));
+        assert.equal(this.state.items[items[0].id].date, '2003-06-03T09:39:21.000Z');
+        done();
+      });
+    feedparser.end(xml);
+  });
+
+  it('should skip the items that have not changed since the last run', function () {
+    return FeedParser.parseString(xml, { state: true }).then(function (feed) {
+      return FeedParser.parseString(xml, { state: copy(feed.state) });
+    }).then(function (feed) {
+      assert.deepEqual(feed.items, []);
+      assert.equal(Object.keys(feed.state.items).length, 4);
+    });
+  });
+
+  it('should mark items with a new date or content as updated', function () {
+    var changed = xml
+      .replace('<pubDate>Tue, 03 Jun 2003 09:39:21 GMT</pubDate>', '<pubDate>Wed, 04 Jun 2003 09:39:21 GMT</pubDate>')
+      .replace('<title>The Engine That Does More</title>', '<title>The Engine That Does Even More</title>')
+      .replace('<item>', '<item><title>Brand new</title><guid>http://example.com/new</guid></item><item>');
+    return FeedParser.parseString(xml, { state: true }).then(function (feed) {
+      return FeedParser.parseString(changed, { state: copy(feed.state) });
+    }).then(function (feed) {
+      assert.deepEqual(feed.items.map(function (item) { return item.title; }), ['Brand new', 'Star City', 'The Engine That Does Even More']);
+      assert.deepEqual(statuses(feed.items), ['new', 'updated', 'updated']);
+      assert.equal(Object.keys(feed.state.items).length, 5);
+    });
+  });
+
+  describe('FileStore', function () {
+
+    var file = path.join(os.tmpdir(), 'feedparser-state-' + process.pid + '.json');
+
+    afterEach(function () {
+      try {
+        fs.unlinkSync(file);
+      } catch (e) {
+        // It's gone already
+      }
+    });
+
+    function poll (options, done) {
+      var feedparser = new FeedParser(options)
+        , items = [];
+      feedparser.on('error', done)
+        .on('readable', function () {
+          var item;
+          while (item = this.read()) {
+            items.push(item);
+          }
+        })
+        .on('end', function () {
+          done(null, items);
+        });
+      fs.createReadStream(__dirname + '/feeds/rss2sample.xml').pipe(feedparser);
+    }
+
+    it('should remember the state between runs', function (done) {
+      var store = new FeedParser.FileStore(file);
+      poll({ store: store, feedurl: 'http://liftoff.msfc.nasa.gov/rss.xml' }, function (err, items) {
+        if (err) return done(err);
+        assert.equal(items.length, 4);
+        store.get('http://liftoff.msfc.nasa.gov/rss.xml', function (err, state) {
+          if (err) return done(err);
+          assert.equal(Object.keys(state.items).length, 4);
+          poll({ store: store, feedurl: 'http://liftoff.msfc.nasa.gov/rss.xml' }, function (err, items) {
+            if (err) return done(err);
+            assert.equal(items.length, 0);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should keep the state of each feed by its key', function (done) {
+      var store = new FeedParser.FileStore(file);
+      store.set('a', { items: {} }, function (err) {
+        if (err) return done(err);
+        poll({ store: store, key: 'b' }, function (err, items) {
+          if (err) return done(err);
+          assert.equal(items.length, 4);
+          var states = JSON.parse(fs.readFileSync(file, 'utf8'));
+          assert.deepEqual(Object.keys(states), ['a', 'b']);
+          done();
+        });
+      });
+    });
+
+    it('should keep every one of several concurrent sets', function (done) {
+      var store = new FeedParser.FileStore(file)
+        , keys = ['a', 'b', 'c', 'd']
+        , left = keys.length;
+      keys.forEach(function (key) {
+        store.set(key, { items: {}, key: key }, function (err) {
+          if (err) return done(err);
+          if (--left) return;
+          var states = JSON.parse(fs.readFileSync(file, 'utf8'));
+          assert.deepEqual(Object.keys(states).sort(), keys);
+          assert.equal(states.c.key, 'c');
+          assert.deepEqual(fs.readdirSync(path.dirname(file)).filter(function (name) {
+            return name.indexOf(path.basename(file) + '.') === 0;
+          }), []);
+          done();
+        });
+      });
+    });
+
+    it('should need a key', function (done) {
+      poll({ store: new FeedParser.FileStore(file) }, function (err) {
+        assert.ok(err instanceof Error);
+        assert.equal(err.message, 'The store option needs the key or feedurl option');
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,43 @@
+describe('threading', function(){
+
+  var feed = __dirname + '/feeds/threading.atom';
+
+  it('should parse every replies link and the total', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].replies.length, 2);
+      assert.equal(items[0].replies[0].href, 'http://www.example.org/entries/1/comments.xml');
+      assert.equal(items[0].replies[0].type, 'application/atom+xml');
+      assert.strictEqual(items[0].replies[0].count, 10);
+      assert.equal(items[0].replies[0].updated.toISOString(), '2005-07-28T12:10:00.000Z');
+      assert.strictEqual(items[0].replies[1].count, 12);
+      assert.strictEqual(items[0].replies[1].updated, null);
+      assert.strictEqual(items[0].replyCount, 12);
+      assert.deepEqual(items[0].inReplyTo, []);
+      done();
+    });
+  });
+
+  it('should prefer the web page of replies as comments', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.equal(items[0].comments, 'http://www.example.org/entries/1/comments');
+      assert.strictEqual(items[1].comments, null);
+      done();
+    });
+  });
+
+  it('should parse thr:in-reply-to', function (done) {
+    parseFile(feed, function (err, meta, items) {
+      if (err) return done(err);
+      assert.deepEqual(items[1].inReplyTo, [
+        { ref: 'tag:example.org,1999:entry', href: 'http://www.example.org/entries/1', type: 'text/html', source: 'http://www.example.org/myfeed' },
+        { ref: 'tag:example.org,1999:other', href: null, type: null, source: null }
+      ]);
+      assert.deepEqual(items[1].replies, []);
+      assert.strictEqual(items[1].replyCount, null);
+      done();
+    });
+  });
+
+});
@@ -0,0 +1,107 @@
+describe('validation', function(){
+
+  var feed = __dirname + '/feeds/invalid.xml';
+
+  function codes (findings) {
+    return findings.map(function (finding) {
+      return finding.code;
+    });
+  }
+
+  it('should not collect findings unless asked', function (done) {
+    var feedparser = new FeedParser();
+    fs.createReadStream(feed).pipe(feedparser);
+    feedparser.on('readable', function () {
+      while (this.read()) continue;
+    })
+    .on('end', function () {
+      assert.deepEqual(this.findings, []);
+      done();
+    });
+  });
+
+  it('should collect findings with the validate option', function (done) {
+    var feedparser = new FeedParser({ validate: true });
+    fs.createReadStream(feed).pipe(feedparser);
+    feedparser.on('readable', function () {
+      while (this.read()) continue;
+    })
+    .on('end', function () {
+      assert.deepEqual(codes(this.findings), [
+        'unknown-namespace',
+        'relative-url',
+        'invalid-date',
+        'invalid-enclosure-length',
+        'duplicate-guid',
+        'missing-attribute',
+        'missing-attribute',
+        'guid-used-as-link',
+        'guid-used-as-link',
+        'missing-element'
+      ]);
+      done();
+    });
+  });
+
+  it('should give each finding a severity, message and location', function () {
+    return FeedParser.validate(fs.readFileSync(feed)).then(function (report) {
+      assert.strictEqual(report.valid, false);
+      assert.equal(report.items.length, 3);
+      assert.equal(report.meta.title, 'Broken Feed');
+      assert.deepEqual(report.findings[0], {
+        code: 'unknown-namespace',
+        severity: 'info',
+        message: 'Unknown namespace http://example.com/ns/foo (prefix "foo")',
+        location: { element: 'foo:bar', line: 6, column: 9 }
+      });
+      assert.deepEqual(report.findings[2], {
+        code: 'invalid-date',
+        severity: 'error',
+        message: 'Invalid date in <pubdate>: sometime last week',
+        location: { element: 'pubdate', line: 11, column: 9 }
+      });
+      assert.equal(report.findings[4].message, 'Duplicate guid http://example.com/posts/1, first seen on line 10');
+      assert.equal(report.findings[9].message, 'The <channel> has no <link>');
+    });
+  });
+
+  it('should find a valid feed valid', function () {
+    return FeedParser.validate(fs.readFileSync(__dirname + '/feeds/rss2sample.xml', 'utf8')).then(function (report) {
+      assert.strictEqual(report.valid, true);
+      assert.deepEqual(report.findings, []);
+    });
+  });
+
+  it('should check the required Atom elements', function () {
+    var xml = '<feed xmlns="http://www.w3.org/2005/Atom"><title>T</title><updated>2020-01-01T00:00:00Z</updated>' +
+      '<entry><id>a</id><title>A</title></entry>' +
+      '<entry><id>b</id><title>B</title><updated>2020-01-01T00:00:00Z</updated><author><name>N</name></author></entry>' +
+      '</feed>';
+    return FeedParser.validate(xml).then(function (report) {
+      assert.strictEqual(report.valid, false);
+      assert.deepEqual(report.findings.map(function (finding) { return finding.message; }), [
+        'The <entry> has no <updated>',
+        'The <feed> has no <id>',
+        'The <feed> has no <author> for the 1 entry without one'
+      ]);
+    });
+  });
+
+  it('should report malformed XML', function () {
+    var xml = '<rss version="2.0"><channel><title>Fish & Chips</title><link>http://example.com/</link><description>D</description></channel></rss>';
+    return FeedParser.validate(xml, { strict: true }).then(function (report) {
+      assert.strictEqual(report.valid, false);
+      assert.equal(report.findings.length, 1);
+      assert.equal(report.findings[0].code, 'malformed-xml');
+      assert.deepEqual(report.findings[0].location, { element: 'title', line: 1, column: 42 });
+    });
+  });
+
+  it('should report what is not a feed', function () {
+    return FeedParser.validate(fs.readFileSync(__dirname + '/feeds/notafeed.html')).then(function (report) {
+      assert.strictEqual(report.valid, false);
+      assert.deepEqual(codes(report.findings), ['not-a-feed']);
+    });
+  });
+
+});
@@ -0,0 +1,77 @@
+describe('warnings', function(){
+
+  var stream = require('stream');
+
+  // An unescaped ampersand is a SAX error in strict mode
+  var malformed = '<?xml version="1.0"?>\n<rss version="2.0">\n<channel>\n<title>Fish & Chips</title>\n' +
+    '<item><title>Cod</title></item>\n' +
+    '</channel>\n</rss>\n';
+
+  function source (str) {
+    var s = new stream.PassThrough();
+    s.end(str);
+    return s;
+  }
+
+  it('should emit recovered SAX errors as warnings, not errors', function (done) {
+    var feedparser = new FeedParser({ strict: true })
+      , warnings = []
+      , items = [];
+    source(malformed).pipe(feedparser)
+      .on('error', done)
+      .on('warning', function (warning) {
+        warnings.push(warning);
+      })
+      .on('readable', function () {
+        var item;
+        while (item = this.read()) {
+          items.push(item);
+        }
+      })
+      .on('end', function () {
+        assert.equal(items.length, 1);
+        assert.equal(warnings.length, 1);
+        assert.deepEqual(this.warnings, warnings);
+        assert.ok(warnings[0] instanceof Error);
+        assert.equal(warnings[0].line, 4);
+        assert.equal(warnings[0].column, 14);
+        assert.equal(warnings[0].element, 'title');
+        done();
+      });
+  });
+
+  it('should emit SAX errors as errors when not resuming', function (done) {
+    var feedparser = new FeedParser({ strict: true, resume_saxerror: false });
+    source(malformed).pipe(feedparser)
+      .on('warning', function () {
+        done(new Error('Expected an error'));
+      })
+      .on('error', function (err) {
+        assert.ok(err instanceof Error);
+        assert.deepEqual(this.warnings, []);
+        done();
+      });
+  });
+
+  it('should emit invalid dates as warnings with where they were', function (done) {
+    var feedparser = new FeedParser()
+      , warnings = [];
+    fs.createReadStream(__dirname + '/feeds/dates.xml').pipe(feedparser)
+      .on('error', done)
+      .on('warning', function (warning) {
+        warnings.push(warning);
+      })
+      .on('readable', function () {
+        while (this.read()) continue;
+      })
+      .on('end', function () {
+        assert.equal(warnings.length, 1);
+        assert.equal(warnings[0].message, 'Invalid date: sometime last week');
+        assert.equal(warnings[0].element, 'pubdate');
+        assert.equal(typeof warnings[0].line, 'number');
+        assert.equal(typeof warnings[0].column, 'number');
+        done();
+      });
+  });
+
+});
@@ -0,0 +1,293 @@
+describe('WebSubSubscriber', function(){
+
+  var http = require('http')
+    , crypto = require('crypto')
+    , querystring = require('querystring')
+    , URL = require('url')
+    , feed = fs.readFileSync(__dirname + '/feeds/intertwingly.atom')
+    , topic = 'http://example.com/feed.atom'
+    ;
+
+  // A stand-in hub that records the requests it gets, and answers them with
+  // the status, or with what the status function returns for each
+  function hub (status, done) {
+    var server = http.createServer(function (req, res) {
+      var body = '';
+      req.setEncoding('utf8');
+      req.on('data', function (chunk) { body += chunk; });
+      req.on('end', function () {
+        server.requests.push(querystring.parse(body));
+        res.writeHead(typeof status === 'function' ? status(server.requests.length) : status);
+        res.end();
+      });
+    });
+    server.requests = [];
+    server.listen(0, '127.0.0.1', function () {
+      server.url = 'http://127.0.0.1:' + server.address().port + '/hub';
+      done(server);
+    });
+  }
+
+  // Call the subscriber back, as the hub would
+  function callback (url, method, headers, body, done) {
+    var uri = URL.parse(url)
+      , req = http.request({ method: method, hostname: uri.hostname, port: uri.port, path: uri.path, headers: headers });
+    req.on('response', function (res) {
+      var text = '';
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) { text += chunk; });
+      res.on('end', function () { done(res.statusCode, text); });
+    });
+    req.end(body);
+  }
+
+  function verify (request, leaseSeconds, done) {
+    if (typeof leaseSeconds === 'function') {
+      done = leaseSeconds;
+      leaseSeconds = 86400;
+    }
+    callback(request['hub.callback'] + '?' + querystring.stringify({
+      'hub.mode': request['hub.mode'],
+      'hub.topic': request['hub.topic'],
+      'hub.challenge': 'abc123',
+      'hub.lease_seconds': String(leaseSeconds)
+    }), 'GET', {}, null, done);
+  }
+
+  function sign (secret, body) {
+    return 'sha1=' + crypto.createHmac('sha1', secret).update(body).digest('hex');
+  }
+
+  var subscriber, server;
+
+  afterEach(function (done) {
+    server.close();
+    subscriber.close(function () { done(); });
+  });
+
+  function setup (options, status, done) {
+    hub(status, function (s) {
+      server = s;
+      subscriber = new FeedParser.WebSubSubscriber(options);
+      subscriber.listen(done);
+    });
+  }
+
+  it('should subscribe at the hub and answer its challenge', function (done) {
+    setup({ secret: 's3cret', leaseSeconds: 3600 }, 202, function () {
+      subscriber.subscribe({ cloud: { type: 'hub', href: server.url }, xmlurl: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0];
+        assert.equal(request['hub.mode'], 'subscribe');
+        assert.equal(request['hub.topic'], topic);
+        assert.equal(request['hub.secret'], 's3cret');
+        assert.equal(request['hub.lease_seconds'], '3600');
+        subscriber.on('subscribe', function (t, leaseSeconds) {
+          assert.equal(t, topic);
+          assert.equal(leaseSeconds, 86400);
+        });
+        verify(request, function (status, text) {
+          assert.equal(status, 200);
+          assert.equal(text, 'abc123');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should refuse to verify what it did not ask for', function (done) {
+    setup({}, 202, function () {
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0];
+        verify({ 'hub.mode': 'unsubscribe', 'hub.topic': topic, 'hub.callback': request['hub.callback'] }, function (status) {
+          assert.equal(status, 404);
+          verify({ 'hub.mode': 'subscribe', 'hub.topic': topic, 'hub.callback': request['hub.callback'] + 'x' }, function (status) {
+            assert.equal(status, 404);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should emit the items of signed content', function (done) {
+    setup({ secret: 's3cret' }, 202, function () {
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0]
+          , items = [];
+        subscriber.on('item', function (item, t) {
+          assert.equal(t, topic);
+          assert.equal(item.meta.xmlurl, 'http://intertwingly.net/blog/index.atom');
+          if (items.push(item) === 20) done();
+        });
+        verify(request, function () {
+          callback(request['hub.callback'], 'POST', {
+            'Content-Type': 'application/atom+xml; charset=utf-8',
+            'X-Hub-Signature': sign('s3cret', feed)
+          }, feed, function (status) {
+            assert.equal(status, 204);
+          });
+        });
+      });
+    });
+  });
+
+  it('should ignore content with a bad signature', function (done) {
+    setup({ secret: 's3cret' }, 202, function () {
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0];
+        subscriber.on('item', function () {
+          done(new Error('Should not emit items'));
+        });
+        subscriber.on('warning', function (err) {
+          assert.equal(err.message, 'Invalid signature');
+          assert.equal(err.topic, topic);
+          done();
+        });
+        verify(request, function () {
+          callback(request['hub.callback'], 'POST', {
+            'Content-Type': 'application/atom+xml',
+            'X-Hub-Signature': sign('wrong', feed)
+          }, feed, function (status) {
+            assert.equal(status, 204);
+          });
+        });
+      });
+    });
+  });
+
+  it('should refuse content larger than maxBodySize', function (done) {
+    setup({ secret: 's3cret', maxBodySize: 1024 }, 202, function () {
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0];
+        subscriber.on('item', function () {
+          done(new Error('Should not have parsed it'));
+        });
+        verify(request, function () {
+          callback(request['hub.callback'], 'POST', {
+            'Content-Type': 'application/atom+xml; charset=utf-8',
+            'X-Hub-Signature': sign('s3cret', feed)
+          }, feed, function (status) {
+            assert.equal(status, 413);
+            // Without a Content-Length, too
+            callback(request['hub.callback'], 'POST', {
+              'Content-Type': 'application/atom+xml; charset=utf-8',
+              'Transfer-Encoding': 'chunked',
+              'X-Hub-Signature': sign('s3cret', feed)
+            }, feed, function (status) {
+              assert.equal(status, 413);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should refuse content larger than maxBodySize without a secret, too', function (done) {
+    setup({ maxBodySize: 1024 }, 202, function () {
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        var request = server.requests[0];
+        subscriber.on('meta', function () {
+          done(new Error('Should not have parsed it'));
+        });
+        verify(request, function () {
+          callback(request['hub.callback'], 'POST', {
+            'Content-Type': 'application/atom+xml; charset=utf-8',
+            'Transfer-Encoding': 'chunked'
+          }, feed, function (status) {
+            assert.equal(status, 413);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should retry a failed renewal', function (done) {
+    setup({ retryDelay: 50 }, function (n) { return n === 2 ? 500 : 202; }, function () {
+      var warnings = [];
+      subscriber.on('warning', function (err) {
+        warnings.push(err);
+      });
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        verify(server.requests[0], 1, function () {
+          setTimeout(function () {
+            assert.equal(server.requests.length, 3);
+            assert.equal(warnings.length, 1);
+            assert.equal(warnings[0].topic, topic);
+            done();
+          }, 1500);
+        });
+      });
+    });
+  });
+
+  it('should let a subscription expire when it cannot be renewed before the lease lapses', function (done) {
+    setup({ retryDelay: 50 }, function (n) { return n === 1 ? 202 : 500; }, function () {
+      var warnings = 0;
+      subscriber.on('warning', function () {
+        warnings++;
+      });
+      subscriber.on('expire', function (t, err) {
+        assert.equal(t, topic);
+        assert.equal(err.status, 500);
+        assert.ok(warnings >= 1);
+        assert.deepEqual(subscriber.subscriptions, {});
+        done();
+      });
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        verify(server.requests[0], 1, function () {});
+      });
+    });
+  });
+
+  it('should give each topic a callback url that can\'t be guessed, and keep it', function (done) {
+    setup({}, 202, function () {
+      var other = new FeedParser.WebSubSubscriber({ callbackUrl: subscriber.options.callbackUrl });
+      subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+        assert.ifError(err);
+        other.subscribe({ hub: server.url, topic: topic }, function (err) {
+          assert.ifError(err);
+          subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+            assert.ifError(err);
+            var callbacks = server.requests.map(function (request) {
+              return request['hub.callback'];
+            });
+            assert.notEqual(callbacks[0], callbacks[1]);
+            assert.equal(callbacks[0], callbacks[2]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should report feeds without a hub, and hubs that refuse', function (done) {
+    setup({}, 400, function () {
+      subscriber.subscribe({ cloud: {}, xmlurl: topic }, function (err) {
+        assert.equal(err.message, 'The feed has no hub');
+        subscriber.subscribe({ hub: server.url, topic: topic }, function (err) {
+          assert.equal(err.status, 400);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should verify signatures', function () {
+    var verifySignature = FeedParser.WebSubSubscriber.verifySignature;
+    assert.ok(verifySignature('key', sign('key', 'body'), 'body'));
+    assert.ok(!verifySignature('key', sign('key', 'body'), 'bodx'));
+    assert.ok(!verifySignature('key', 'md5=abc', 'body'));
+    assert.ok(!verifySignature('key', undefined, 'body'));
+  });
+
+});
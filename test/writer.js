@@ -0,0 +1,80 @@
+describe('writer', function(){
+
+  var FeedWriter = FeedParser.FeedWriter;
+
+  function time (date) {
+    return date ? date.getTime() : null;
+  }
+
+  function comparable (item, format) {
+    return {
+      title: item.title,
+      link: item.link,
+      guid: item.guid,
+      description: item.description,
+      author: item.author,
+      categories: item.categories,
+      date: time(format === 'rss' ? item.pubdate : item.date),
+      enclosures: item.enclosures.map(function (enclosure) {
+        return { url: enclosure.url, type: enclosure.type, length: enclosure.length || '0' };
+      })
+    };
+  }
+
+  ['rss2sample.xml', 'category-feed.xml', 'mediacontent-dupes.xml', 'wapowellness.xml', 'intertwingly.atom', 'nondefaultnamespace.atom'].forEach(function (fixture) {
+    ['rss', 'atom'].forEach(function (format) {
+      it('should round-trip ' + fixture + ' through ' + format, function (done) {
+        parseFile(__dirname + '/feeds/' + fixture, function (err, meta, items) {
+          if (err) return done(err);
+          var xml = FeedWriter.serialize(meta, items, { format: format });
+          FeedParser.parseString(xml).then(function (result) {
+            assert.equal(result.meta['#type'], format === 'rss' ? 'rss' : 'atom');
+            assert.equal(result.meta.title, meta.title);
+            assert.equal(result.meta.link, meta.link);
+            assert.equal(result.items.length, items.length);
+            items.forEach(function (item, i) {
+              assert.deepEqual(comparable(result.items[i], format), comparable(item, format));
+            });
+            done();
+          }).catch(done);
+        });
+      });
+    });
+  });
+
+  it('should escape markup and resolve relative links', function () {
+    var xml = FeedWriter.serialize({ title: 'Tom & Jerry', link: 'http://example.com/blog/' }, [{
+      title: '<b>"Quotes"</b>',
+      link: 'posts/1',
+      description: '<p>Hello</p>'
+    }]);
+    assert.ok(xml.indexOf('<title>Tom &amp; Jerry</title>') !== -1);
+    assert.ok(xml.indexOf('<title>&lt;b&gt;&quot;Quotes&quot;&lt;/b&gt;</title>') !== -1);
+    assert.ok(xml.indexOf('<link>http://example.com/blog/posts/1</link>') !== -1);
+    assert.ok(xml.indexOf('<description>&lt;p&gt;Hello&lt;/p&gt;</description>') !== -1);
+  });
+
+  it('should drop characters that are not allowed in XML', function () {
+    var xml = FeedWriter.serialize({ title: 'Bell\u0007 and tab\t', link: 'http://example.com/' }, []);
+    assert.ok(xml.indexOf('<title>Bell and tab\t</title>') !== -1);
+  });
+
+  it('should write items piped from a FeedParser', function (done) {
+    var xml = '';
+    fs.createReadStream(__dirname + '/feeds/rss2sample.xml')
+      .pipe(new FeedParser())
+      .pipe(new FeedWriter({ format: 'atom' }))
+      .on('data', function (chunk) {
+        xml += chunk;
+      })
+      .on('end', function () {
+        FeedParser.parseString(xml).then(function (result) {
+          assert.equal(result.meta['#type'], 'atom');
+          assert.equal(result.meta.title, 'Liftoff News');
+          assert.equal(result.items.length, 4);
+          done();
+        }).catch(done);
+      });
+  });
+
+});